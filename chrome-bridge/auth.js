@@ -0,0 +1,56 @@
+/**
+ * 共有シークレット認証
+ *
+ * BRIDGE_TOKEN が設定されている場合、各 WebSocket 接続は最初のメッセージで
+ * token を送る必要がある（CLI はコマンドに、拡張機能は connected 通知に同梱）。
+ * 認証前に token なし・不一致のメッセージが届いたらエラーを返して切断する。
+ *
+ * BRIDGE_TOKEN 未設定時は従来どおり全接続を受け付ける。
+ */
+
+const crypto = require('crypto');
+const { ErrorCodes } = require('./protocol');
+
+// 認証失敗時の WebSocket close コード（4000-4999 はアプリケーション定義）
+const AUTH_CLOSE_CODE = 4401;
+
+function getToken() {
+  return process.env.BRIDGE_TOKEN || '';
+}
+
+function verifyToken(provided) {
+  const expected = getToken();
+  if (!expected) return true;
+  if (typeof provided !== 'string') return false;
+
+  // タイミング攻撃対策: 長さを揃えてから定数時間比較
+  const a = crypto.createHash('sha256').update(provided).digest();
+  const b = crypto.createHash('sha256').update(expected).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+// メッセージ受信ごとに呼ぶ。認証済みなら true、拒否した場合は false
+function authenticate(ws, message) {
+  if (ws.authenticated) return true;
+
+  if (verifyToken(message.token)) {
+    ws.authenticated = true;
+    return true;
+  }
+
+  ws.send(JSON.stringify({
+    id: message.id,
+    error: 'Unauthorized: missing or invalid token (set BRIDGE_TOKEN to match the server)',
+    code: ErrorCodes.UNAUTHORIZED
+  }));
+  ws.close(AUTH_CLOSE_CODE, 'Unauthorized');
+  return false;
+}
+
+function warnIfUnauthenticated(host, label) {
+  if (!getToken() && host !== '127.0.0.1' && host !== 'localhost') {
+    console.warn(`[${label}] 警告: BRIDGE_TOKEN 未設定のまま ${host} で待受しています。LAN 内の誰でも接続できます`);
+  }
+}
+
+module.exports = { AUTH_CLOSE_CODE, getToken, verifyToken, authenticate, warnIfUnauthenticated };
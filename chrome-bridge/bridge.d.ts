@@ -0,0 +1,560 @@
+// Type definitions for the ChromeBridge library (bridge.js)
+
+import { EventEmitter } from 'events';
+
+export type ErrorCode =
+  | 'ELEMENT_NOT_FOUND'
+  | 'NO_TAB'
+  | 'DEBUGGER_ATTACH_FAILED'
+  | 'TIMEOUT'
+  | 'NOT_CONNECTED'
+  | 'CANCELLED'
+  | 'UNAUTHORIZED'
+  | 'BROWSER_NOT_FOUND'
+  | 'UNKNOWN_COMMAND'
+  | 'INVALID_PARAMS'
+  | 'EVALUATION_FAILED'
+  | 'CONTENT_SCRIPT_UNAVAILABLE'
+  | 'NAVIGATION_FAILED'
+  | 'SEARCH_BLOCKED'
+  | 'DIALOG_OPEN'
+  | 'INTERNAL_ERROR';
+
+export const ErrorCodes: Readonly<{ [K in ErrorCode]: K }>;
+
+export class BridgeError extends Error {
+  constructor(code: ErrorCode, message: string);
+  code: ErrorCode;
+}
+
+export const DEFAULT_PORT: number;
+
+/** Tab id: a number for the extension, a CDP target id string for server-cc.js */
+export type TabId = number | string;
+
+/** Target selector understood by server-cc.js */
+export type TargetSelector = string | { id?: string; url?: string; title?: string };
+
+export interface ChromeBridgeOptions {
+  /** Full WebSocket URL. Defaults to ws://{host}:{port} */
+  url?: string;
+  /** Defaults to localhost */
+  host?: string;
+  /** Defaults to 8765 (server-cc.js listens on 8766) */
+  port?: number;
+  /** Defaults to the BRIDGE_TOKEN environment variable */
+  token?: string;
+  /** Browser name when several are connected. Defaults to BRIDGE_BROWSER */
+  browser?: string;
+  /** Default request timeout in ms for every command */
+  timeout?: number;
+}
+
+export interface RequestOptions {
+  /** Request timeout in ms (the wait time for evaluate, waitForElement and navigation) */
+  timeout?: number;
+  browser?: string;
+  /** Aborting cancels the request on the extension side too */
+  signal?: AbortSignal;
+}
+
+export interface TabOptions extends RequestOptions {
+  tabId?: TabId;
+  target?: TargetSelector;
+}
+
+export type WaitUntil = 'load' | 'domcontentloaded' | 'networkidle' | (string & {});
+
+export interface NavigateOptions extends TabOptions {
+  /** Wait for a load state, or for a URL matching this pattern */
+  waitUntil?: WaitUntil;
+}
+
+export interface NavigateResult {
+  success: boolean;
+  tabId?: TabId;
+  /** The fields below are present when waitUntil was given */
+  url?: string;
+  status?: number | null;
+  redirects?: Array<{ url: string; status: number }>;
+  waitUntil?: WaitUntil;
+}
+
+export interface SuccessResult {
+  success: boolean;
+  [key: string]: unknown;
+}
+
+export interface TabInfo {
+  id: TabId;
+  url: string;
+  title: string;
+  active: boolean;
+  windowId?: number;
+}
+
+export type DialogType = 'alert' | 'confirm' | 'prompt' | 'beforeunload';
+export type DialogAction = 'accept' | 'dismiss' | 'manual';
+
+export interface DialogPolicy {
+  action: DialogAction;
+  /** Text entered into prompts when the action is accept */
+  promptText?: string;
+}
+
+export interface DialogInfo {
+  type: DialogType;
+  message: string;
+  url: string;
+  defaultPrompt?: string;
+  openedAt: number;
+  /** Set once the dialog is closed */
+  accepted?: boolean;
+  promptText?: string;
+  handledBy?: 'policy' | 'handleDialog' | 'user';
+  closedAt?: number;
+}
+
+export interface PageInfo {
+  tabId: TabId;
+  url: string;
+  title: string;
+  windowId?: number;
+  /** The dialog currently blocking the page, if any */
+  dialog: DialogInfo | null;
+  dialogPolicy: DialogPolicy;
+  /** The most recent dialogs of the tab, oldest first */
+  dialogs: DialogInfo[];
+}
+
+export interface SnapshotOptions extends TabOptions {
+  /** Only list buttons, links, inputs and other interactive elements */
+  interactive?: boolean;
+}
+
+export interface SnapshotResult {
+  url: string;
+  title: string;
+  /** Indented role / name list, e.g. `- link "Home" [ref=e15]` */
+  snapshot: string;
+  /** Number of element refs in the snapshot */
+  refs: number;
+}
+
+export interface ExtractContentOptions extends TabOptions {
+  /** Main content element; detected from article / main / paragraph density when omitted */
+  selector?: string;
+}
+
+export interface ExtractedContent {
+  title: string;
+  author: string | null;
+  /** As written in the page metadata, usually ISO 8601 */
+  published: string | null;
+  canonicalUrl: string;
+  siteName: string | null;
+  description: string | null;
+  url: string;
+  markdown: string;
+  length: number;
+}
+
+export type SearchEngine = 'google' | 'bing' | 'duckduckgo';
+
+export interface SearchOptions extends TabOptions {
+  /** Defaults to google */
+  engine?: SearchEngine;
+  /** First result page, 1-based */
+  page?: number;
+  /** Number of consecutive pages to fetch (at most 5) */
+  pages?: number;
+  limit?: number;
+}
+
+export interface SearchResult {
+  title: string;
+  url: string;
+  snippet: string;
+  rank: number;
+  page: number;
+}
+
+export interface SearchResponse {
+  engine: SearchEngine;
+  query: string;
+  page: number;
+  /** Pass as `page` to continue, null when the last page had no results */
+  nextPage: number | null;
+  results: SearchResult[];
+}
+
+export interface TextPageOptions extends TabOptions {
+  maxChars?: number;
+  offset?: number;
+  /** A previous nextCursor (same as offset) */
+  cursor?: number;
+}
+
+export interface TextPage {
+  /** Length of the whole text / HTML */
+  length: number;
+  offset: number;
+  truncated: boolean;
+  /** Offset of the next chunk, null on the last one */
+  nextCursor: number | null;
+}
+
+export interface EvaluateOptions extends TabOptions {
+  awaitPromise?: boolean;
+}
+
+export interface ClickOptions extends TabOptions {
+  x?: number;
+  y?: number;
+  button?: 'left' | 'middle' | 'right';
+  clickCount?: number;
+}
+
+export interface TypeOptions extends TabOptions {
+  clear?: boolean;
+  pressEnter?: boolean;
+  append?: boolean;
+}
+
+export interface ScrollOptions extends TabOptions {
+  selector?: string;
+  x?: number;
+  y?: number;
+  deltaX?: number;
+  deltaY?: number;
+  behavior?: 'auto' | 'smooth';
+}
+
+export interface ScreenshotOptions extends TabOptions {
+  /** Defaults to png, or to the outputPath extension */
+  format?: 'png' | 'jpeg' | 'webp';
+  /** JPEG / WebP quality (0-100) */
+  quality?: number;
+  /** Capture the whole page beyond the viewport */
+  fullPage?: boolean;
+  /** Capture only this element's bounding box */
+  selector?: string;
+  /** Device scale factor, e.g. 2 for retina resolution */
+  scale?: number;
+  /** Downscale so the output image is at most this many pixels wide */
+  maxWidth?: number;
+  /** Downscale so the output image is at most this many pixels tall */
+  maxHeight?: number;
+  /** Write the image to this file instead of returning a data URL */
+  outputPath?: string;
+}
+
+export interface ScreenshotResult {
+  dataUrl: string;
+  /** Output size in pixels, present for clipped / full-page / downscaled captures */
+  width?: number;
+  height?: number;
+}
+
+export interface SavedFile {
+  path: string;
+  bytes: number;
+  mimeType: string;
+}
+
+export function saveDataUrl(dataUrl: string, filePath: string): SavedFile;
+export function imageFormatForPath(filePath: string): 'png' | 'jpeg' | 'webp' | undefined;
+
+export interface UploadOptions extends TabOptions {
+  selector?: string;
+}
+
+export interface ElementRect {
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+}
+
+export interface ElementInfo {
+  found: boolean;
+  tagName?: string;
+  id?: string;
+  className?: string;
+  text?: string;
+  value?: string;
+  href?: string;
+  src?: string;
+  rect?: ElementRect;
+  visible?: boolean;
+  attributes?: Record<string, string>;
+}
+
+export interface ElementSummary {
+  index: number;
+  tagName: string;
+  id: string;
+  className: string;
+  text?: string;
+  value?: string;
+  href?: string;
+  rect: ElementRect;
+}
+
+export interface NetworkFilter {
+  /** Substring of the request URL */
+  url?: string;
+  method?: string;
+  /** 404, '4xx' or 'failed' */
+  status?: number | string;
+}
+
+export interface BufferOptions extends TabOptions {
+  limit?: number;
+  clear?: boolean;
+  /** Cap on the entries' combined JSON length; at least one entry is returned */
+  maxChars?: number;
+  /** A previous nextCursor: return the entries after it, oldest first */
+  cursor?: number;
+  /** A previous prevCursor: return the newest entries before it (ignored when cursor is set) */
+  before?: number;
+}
+
+export interface BufferPage {
+  count: number;
+  /** More entries matched than were returned */
+  truncated: boolean;
+  /** seq of the last returned entry; pass as cursor to read what came after */
+  nextCursor: number | null;
+  /** Set when older entries were cut from a newest-first page; pass as before to read them */
+  prevCursor: number | null;
+}
+
+export type ConsoleLevel = 'verbose' | 'info' | 'warning' | 'error';
+
+export interface ReadConsoleOptions extends BufferOptions {
+  /** Minimum level; console method names (debug / log / warn) work too */
+  level?: ConsoleLevel | 'debug' | 'log' | 'warn';
+  /** Epoch ms or an ISO 8601 date */
+  since?: number | string;
+}
+
+export interface StackFrame {
+  functionName: string;
+  url: string;
+  /** 1-based */
+  line: number;
+  column: number;
+}
+
+export interface ConsoleMessage {
+  /** console method (log / warning / error / trace ...), or the level for browser messages */
+  type: string;
+  level: ConsoleLevel;
+  /** console / exception, or the Log domain source (network / security / violation ...) */
+  source: string;
+  /** Objects are expanded from their preview, e.g. {id: 1, tags: [...]} */
+  text: string;
+  url?: string;
+  line?: number;
+  column?: number;
+  /** Errors, warnings, console.trace and browser messages that carry one */
+  stackTrace?: StackFrame[];
+  /** Log domain messages about a request: the readNetwork requestId */
+  networkRequestId?: string;
+  /** Epoch ms */
+  timestamp: number;
+  seq: number;
+}
+
+export interface ReadNetworkOptions extends BufferOptions, NetworkFilter {
+  /** Include headers, post data and timing */
+  details?: boolean;
+}
+
+export type NetworkState = 'pending' | 'redirected' | 'complete' | 'failed';
+
+export interface NetworkEntry {
+  seq: number;
+  /** Redirects share the requestId of the request that followed them */
+  requestId: string;
+  method: string;
+  url: string;
+  type?: string;
+  /** Missing until the response arrives, and for failed requests */
+  status?: number;
+  mimeType?: string;
+  state: NetworkState;
+  /** net::ERR_* for failed requests */
+  error?: string;
+  /** ms, once the request has finished */
+  duration?: number;
+}
+
+/** readNetwork with details: true */
+export interface NetworkEntryDetails extends Omit<NetworkEntry, 'duration'> {
+  requestHeaders?: Record<string, string>;
+  postData?: string;
+  statusText?: string;
+  protocol?: string;
+  remoteIPAddress?: string;
+  responseHeaders?: Record<string, string>;
+  /** CDP Network.ResourceTiming */
+  timing?: Record<string, number>;
+  fromCache?: boolean;
+  redirectURL?: string;
+  canceled?: boolean;
+  /** Epoch ms */
+  startedAt: number;
+  /** CDP monotonic seconds */
+  timestamp: number;
+  endTimestamp?: number;
+  encodedDataLength?: number;
+}
+
+export interface ResponseBody {
+  body: string;
+  base64Encoded: boolean;
+}
+
+export type RouteAction = 'abort' | 'fulfill' | 'continue';
+
+export interface RouteOptions extends TabOptions {
+  /** Defaults to continue */
+  action?: RouteAction;
+  /** CDP resource types, e.g. ['Image', 'Media']; all types when omitted */
+  resourceTypes?: string[];
+  /** fulfill: response status, defaults to 200 */
+  status?: number;
+  /** fulfill: response headers. continue: request headers to add or override, null removes one */
+  headers?: Record<string, string | null>;
+  /** fulfill: response body */
+  body?: string;
+}
+
+export interface Route {
+  id: string;
+  urlPattern: string;
+  resourceTypes: string[] | null;
+  action: RouteAction;
+  /** Requests handled by this route so far */
+  hits: number;
+  status?: number;
+  headers?: Record<string, string | null>;
+  body?: string;
+}
+
+export interface ExportHarOptions extends TabOptions, NetworkFilter {
+  /** Write the HAR here instead of returning it */
+  outputPath?: string;
+  /** Fetch response bodies that the browser still holds */
+  bodies?: boolean;
+}
+
+export type EventType = 'console' | 'network' | 'navigation' | 'tabs';
+
+export interface BridgeEvent {
+  type: 'event';
+  subscriptionId: string;
+  event: EventType;
+  tabId: TabId;
+  timestamp: number;
+  data: Record<string, unknown>;
+}
+
+export interface SubscriptionEnded {
+  type: 'subscriptionEnded';
+  subscriptionId: string;
+  reason: string;
+}
+
+export interface BrowserInfo {
+  name: string;
+  connectedAt: string;
+}
+
+export class ChromeBridge extends EventEmitter {
+  constructor(options?: ChromeBridgeOptions);
+
+  readonly url: string;
+  readonly connected: boolean;
+
+  connect(): Promise<this>;
+  close(): void;
+
+  /** Send any command by name; the methods below are typed wrappers around it */
+  send<T = unknown>(command: string, params?: Record<string, unknown>, options?: RequestOptions): Promise<T>;
+
+  navigate(url: string, options?: NavigateOptions): Promise<NavigateResult>;
+  reload(options?: NavigateOptions): Promise<NavigateResult>;
+  goBack(options?: NavigateOptions): Promise<NavigateResult>;
+  goForward(options?: NavigateOptions): Promise<NavigateResult>;
+  newTab(url?: string, options?: RequestOptions): Promise<{ success: boolean; tabId: TabId }>;
+  closeTab(tabId?: TabId, options?: RequestOptions): Promise<SuccessResult>;
+  switchTab(tabId: TabId, options?: RequestOptions): Promise<SuccessResult>;
+  getTabs(options?: RequestOptions): Promise<TabInfo[]>;
+
+  evaluate<T = unknown>(script: string, options?: EvaluateOptions): Promise<{ result: T }>;
+  /** Pass a null selector with options.x / options.y for a coordinate click */
+  cdpClick(selector: string | null, options?: ClickOptions): Promise<SuccessResult>;
+  cdpType(selector: string, text: string, options?: TypeOptions): Promise<SuccessResult>;
+  cdpScroll(options?: ScrollOptions): Promise<SuccessResult>;
+  cdpScreenshot(options: ScreenshotOptions & { outputPath: string }): Promise<SavedFile>;
+  cdpScreenshot(options?: ScreenshotOptions): Promise<ScreenshotResult>;
+  /** Paths must be readable by the browser's machine */
+  cdpUploadFile(filePaths: string | string[], options?: UploadOptions): Promise<SuccessResult>;
+
+  click(selector: string, options?: ClickOptions): Promise<SuccessResult>;
+  type(selector: string, text: string, options?: TypeOptions): Promise<SuccessResult>;
+  scroll(options?: ScrollOptions): Promise<SuccessResult>;
+  setHtml(selector: string, html: string, options?: TabOptions): Promise<SuccessResult>;
+  /** Reads the local file and sends it as base64 */
+  uploadFile(filePath: string, options?: UploadOptions): Promise<SuccessResult>;
+
+  getElement(selector: string, options?: TabOptions): Promise<ElementInfo>;
+  getElements(selector: string, options?: TabOptions & { limit?: number }): Promise<ElementSummary[]>;
+  getText(selector?: string, options?: TextPageOptions): Promise<TextPage & { text: string }>;
+  getHtml(selector?: string, options?: TextPageOptions & { outer?: boolean }): Promise<TextPage & { html: string }>;
+  /** Navigation, ads and hidden elements are left out of the Markdown */
+  extractContent(options?: ExtractContentOptions): Promise<ExtractedContent>;
+  getAttribute(selector: string, attribute: string, options?: TabOptions): Promise<{ value: string | null }>;
+  waitForElement(selector: string, options?: TabOptions): Promise<ElementInfo & { timeout?: boolean }>;
+  getPageInfo(options?: TabOptions): Promise<PageInfo>;
+  /** Rejects with SEARCH_BLOCKED when a consent or captcha page is shown */
+  searchWeb(query: string, options?: SearchOptions): Promise<SearchResponse>;
+  /** Element refs (`ref=e12`) work as the selector of cdpClick, cdpType and getElement */
+  snapshot(options?: SnapshotOptions): Promise<SnapshotResult>;
+  screenshot(options: ScreenshotOptions & { outputPath: string }): Promise<SavedFile>;
+  screenshot(options?: ScreenshotOptions): Promise<ScreenshotResult>;
+
+  readConsole(options?: ReadConsoleOptions): Promise<BufferPage & { messages: ConsoleMessage[] }>;
+  readNetwork(options: ReadNetworkOptions & { details: true }): Promise<BufferPage & { requests: NetworkEntryDetails[] }>;
+  readNetwork(options?: ReadNetworkOptions): Promise<BufferPage & { requests: NetworkEntry[] }>;
+  /** Rejects with INVALID_PARAMS once the browser has discarded the body */
+  getResponseBody(requestId: string, options?: TabOptions): Promise<ResponseBody>;
+  /** `*` makes urlPattern a glob over the whole URL, otherwise it matches a substring. Later routes win */
+  addRoute(urlPattern: string, options?: RouteOptions): Promise<{ success: boolean; tabId: TabId; route: Route }>;
+  /** Removes every route of the tab when routeId is omitted */
+  removeRoute(routeId?: string, options?: TabOptions): Promise<{ success: boolean; tabId: TabId; removed: number }>;
+  listRoutes(options?: TabOptions): Promise<{ tabId: TabId; routes: Route[] }>;
+  /** Rejects with INVALID_PARAMS when no dialog is open */
+  handleDialog(options?: TabOptions & { accept?: boolean; promptText?: string }): Promise<{ success: boolean; tabId: TabId; dialog: DialogInfo | null }>;
+  /** Also applies to a dialog that is already open */
+  setDialogPolicy(action: DialogAction, options?: TabOptions & { promptText?: string }): Promise<{ success: boolean; tabId: TabId; policy: DialogPolicy }>;
+  exportHar(options: ExportHarOptions & { outputPath: string }): Promise<{ path: string; entries: number; bytes: number }>;
+  /** Returns the HAR 1.2 document */
+  exportHar(options?: ExportHarOptions): Promise<{ log: Record<string, unknown> }>;
+  /** Events arrive as 'event' on this emitter */
+  subscribe(events?: EventType[], options?: TabOptions): Promise<{ subscriptionId: string; events: EventType[]; tabId: TabId | null }>;
+  unsubscribe(subscriptionId: string, options?: RequestOptions): Promise<SuccessResult>;
+
+  listBrowsers(options?: RequestOptions): Promise<{ browsers: BrowserInfo[] }>;
+  debuggerAttach(options?: TabOptions): Promise<SuccessResult>;
+  debuggerDetach(options?: TabOptions): Promise<SuccessResult>;
+
+  on(event: 'event', listener: (event: BridgeEvent) => void): this;
+  on(event: 'subscriptionEnded', listener: (message: SubscriptionEnded) => void): this;
+  on(event: 'open', listener: () => void): this;
+  on(event: 'close', listener: (code: number, reason: string) => void): this;
+  on(event: string | symbol, listener: (...args: any[]) => void): this;
+}
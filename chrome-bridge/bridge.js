@@ -0,0 +1,420 @@
+/**
+ * Claude Code Chrome Bridge - Node.js ライブラリ
+ *
+ * Bridge サーバー（server.js / server-cc.js）に1本の WebSocket で接続し、
+ * 各コマンドを Promise を返すメソッドとして呼べるようにする。
+ * client.js / mcp-server.js もこのクラスの上に作られている。
+ *
+ * 使用例:
+ *   const { ChromeBridge } = require('./bridge');
+ *   const bridge = new ChromeBridge({ token: process.env.BRIDGE_TOKEN });
+ *   await bridge.navigate('https://itch.io/dashboard', { waitUntil: 'load' });
+ *   const { result } = await bridge.evaluate('document.title');
+ *   bridge.close();
+ *
+ * 接続は最初のコマンドで自動的に張られ、切断後も次のコマンドで張り直す。
+ * 型定義は bridge.d.ts
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const WebSocket = require('ws');
+const {
+  resolveTimeout, TIMEOUT_MARGIN, ErrorCodes, BridgeError, toBridgeError
+} = require('./protocol');
+const { fileUploadParams } = require('./commands');
+const { searchWeb } = require('./search');
+const { exportHar } = require('./har');
+
+const DEFAULT_PORT = 8765;
+
+// options.timeout をコマンド側の待機時間（params.timeout）として渡すコマンド
+// それ以外のコマンドではリクエスト全体のタイムアウトになる
+const WAIT_COMMANDS = new Set(['evaluate', 'waitForElement', 'navigate', 'reload', 'goBack', 'goForward']);
+
+// 拡張子から Page.captureScreenshot の format を決める（不明なら undefined）
+function imageFormatForPath(filePath = '') {
+  const ext = path.extname(filePath).toLowerCase();
+  if (ext === '.jpg' || ext === '.jpeg') return 'jpeg';
+  if (ext === '.png' || ext === '.webp') return ext.slice(1);
+  return undefined;
+}
+
+// data URL をデコードしてファイルに書き出す
+function saveDataUrl(dataUrl, filePath) {
+  const match = /^data:([^;,]+)(;base64)?,(.*)$/s.exec(dataUrl || '');
+  if (!match) throw new BridgeError(ErrorCodes.INVALID_PARAMS, 'Result is not a data URL');
+  const buffer = Buffer.from(match[3], match[2] ? 'base64' : 'utf-8');
+  const resolved = path.resolve(filePath);
+  fs.mkdirSync(path.dirname(resolved), { recursive: true });
+  fs.writeFileSync(resolved, buffer);
+  return { path: resolved, bytes: buffer.length, mimeType: match[1] };
+}
+
+class ChromeBridge extends EventEmitter {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.url]      接続先（既定: ws://{host}:{port}）
+   * @param {string} [options.host]     既定: localhost
+   * @param {number} [options.port]     既定: 8765（CC専用 Chrome の server-cc.js は 8766）
+   * @param {string} [options.token]    BRIDGE_TOKEN（既定: 環境変数 BRIDGE_TOKEN）
+   * @param {string} [options.browser]  複数ブラウザ接続時の送信先（既定: 環境変数 BRIDGE_BROWSER）
+   * @param {number} [options.timeout]  全コマンドの既定タイムアウト（ms）
+   */
+  constructor(options = {}) {
+    super();
+    this.url = options.url || `ws://${options.host || 'localhost'}:${options.port || DEFAULT_PORT}`;
+    this.token = options.token ?? (process.env.BRIDGE_TOKEN || undefined);
+    this.browser = options.browser ?? (process.env.BRIDGE_BROWSER || undefined);
+    this.timeout = options.timeout;
+
+    this.ws = null;
+    this.connecting = null;
+    this.nextId = 0;
+    this.pending = new Map(); // id -> { resolve, reject, cleanup }
+  }
+
+  get connected() {
+    return this.ws?.readyState === WebSocket.OPEN;
+  }
+
+  // 接続を張る（接続済み・接続中ならそれを待つだけ）
+  connect() {
+    if (this.connected) return Promise.resolve(this);
+    if (this.connecting) return this.connecting;
+
+    this.connecting = new Promise((resolve, reject) => {
+      const ws = new WebSocket(this.url);
+
+      ws.on('open', () => {
+        this.ws = ws;
+        this.connecting = null;
+        this.emit('open');
+        resolve(this);
+      });
+
+      ws.on('message', (data) => this.handleMessage(JSON.parse(data.toString())));
+
+      ws.on('error', (error) => {
+        if (this.ws !== ws) {
+          this.connecting = null;
+          reject(new BridgeError(ErrorCodes.NOT_CONNECTED, `Bridge server unreachable (${this.url}): ${error.message}`));
+        }
+      });
+
+      ws.on('close', (code, reason) => {
+        if (this.ws !== ws) return;
+        this.ws = null;
+        for (const request of this.pending.values()) {
+          request.cleanup();
+          request.reject(new BridgeError(ErrorCodes.NOT_CONNECTED, 'Connection closed by bridge server'));
+        }
+        this.pending.clear();
+        this.emit('close', code, reason.toString());
+      });
+    });
+    return this.connecting;
+  }
+
+  close() {
+    if (this.ws) this.ws.close();
+  }
+
+  handleMessage(message) {
+    // subscribe したイベント（'event' / 'subscriptionEnded' として再送出）
+    if (message.type === 'event' || message.type === 'subscriptionEnded') {
+      this.emit(message.type, message);
+      return;
+    }
+
+    const request = this.pending.get(message.id);
+    if (!request) return;
+    request.cleanup();
+    this.pending.delete(message.id);
+
+    if (message.error) {
+      request.reject(toBridgeError(message));
+    } else {
+      request.resolve(message.result);
+    }
+  }
+
+  /**
+   * 任意のコマンドを送る（各コマンドのメソッドはこれのラッパー）
+   * @param {string} command
+   * @param {object} [params]
+   * @param {{ timeout?: number, browser?: string, signal?: AbortSignal }} [options]
+   */
+  async send(command, params = {}, options = {}) {
+    await this.connect();
+
+    // サーバー・拡張機能と同じ値で打ち切り、こちらは少し長く待つ
+    // （先にサーバーから TIMEOUT エラーが届くようにする）
+    const timeout = resolveTimeout(options.timeout ?? this.timeout, params);
+    const browser = options.browser ?? this.browser;
+    const { signal } = options;
+    const id = ++this.nextId;
+
+    if (signal?.aborted) {
+      throw new BridgeError(ErrorCodes.CANCELLED, `Request ${command} was aborted`);
+    }
+
+    return new Promise((resolve, reject) => {
+      // 放棄したリクエストを拡張機能側でも止める
+      const abandon = (error) => {
+        if (!this.pending.has(id)) return;
+        this.pending.get(id).cleanup();
+        this.pending.delete(id);
+        if (this.connected) this.ws.send(JSON.stringify({ type: 'cancel', id }));
+        reject(error);
+      };
+
+      const timer = setTimeout(() => {
+        abandon(new BridgeError(ErrorCodes.TIMEOUT, `Timeout: ${command} (${timeout}ms)`));
+      }, timeout + TIMEOUT_MARGIN);
+      timer.unref(); // 応答待ちだけでプロセスを引き留めない
+
+      const onAbort = () => abandon(new BridgeError(ErrorCodes.CANCELLED, `Request ${command} was aborted`));
+      signal?.addEventListener('abort', onAbort, { once: true });
+
+      this.pending.set(id, {
+        resolve,
+        reject,
+        cleanup: () => {
+          clearTimeout(timer);
+          signal?.removeEventListener('abort', onAbort);
+        }
+      });
+      this.ws.send(JSON.stringify({ id, command, params, timeout, browser, token: this.token }));
+    });
+  }
+
+  // メソッドの options を params とリクエストのオプションに振り分ける
+  invoke(command, params, options = {}) {
+    const { timeout, browser, signal, ...rest } = options;
+    const merged = { ...params, ...rest };
+    if (WAIT_COMMANDS.has(command)) {
+      if (timeout !== undefined) merged.timeout = timeout;
+      return this.send(command, merged, { browser, signal });
+    }
+    return this.send(command, merged, { timeout, browser, signal });
+  }
+
+  // --- ナビゲーション ---
+
+  navigate(url, options) {
+    return this.invoke('navigate', { url }, options);
+  }
+
+  reload(options) {
+    return this.invoke('reload', {}, options);
+  }
+
+  goBack(options) {
+    return this.invoke('goBack', {}, options);
+  }
+
+  goForward(options) {
+    return this.invoke('goForward', {}, options);
+  }
+
+  newTab(url, options) {
+    return this.invoke('newTab', { url }, options);
+  }
+
+  closeTab(tabId, options) {
+    return this.invoke('closeTab', { tabId }, options);
+  }
+
+  switchTab(tabId, options) {
+    return this.invoke('switchTab', { tabId }, options);
+  }
+
+  getTabs(options) {
+    return this.invoke('getTabs', {}, options);
+  }
+
+  // --- CDP 操作（メインワールド実行・ネイティブ入力） ---
+
+  evaluate(script, options) {
+    return this.invoke('evaluate', { script }, options);
+  }
+
+  // 座標クリックは selector を null にして options で x / y を渡す
+  cdpClick(selector, options) {
+    return this.invoke('cdpClick', { selector: selector ?? undefined }, options);
+  }
+
+  cdpType(selector, text, options) {
+    return this.invoke('cdpType', { selector, text }, options);
+  }
+
+  cdpScroll(options) {
+    return this.invoke('cdpScroll', {}, options);
+  }
+
+  cdpScreenshot(options) {
+    return this.takeScreenshot('cdpScreenshot', options);
+  }
+
+  // ローカルのファイルパスを直接 input[type=file] に設定（ブラウザと同じマシンのみ）
+  cdpUploadFile(filePaths, options) {
+    return this.invoke('cdpUploadFile', { filePaths: [].concat(filePaths) }, options);
+  }
+
+  // --- Content Script 操作 ---
+
+  click(selector, options) {
+    return this.invoke('click', { selector }, options);
+  }
+
+  type(selector, text, options) {
+    return this.invoke('type', { selector, text }, options);
+  }
+
+  scroll(options) {
+    return this.invoke('scroll', {}, options);
+  }
+
+  setHtml(selector, html, options) {
+    return this.invoke('setHtml', { selector, html }, options);
+  }
+
+  // ファイルを読んで base64 で送る（ブラウザが別マシンでも可）
+  async uploadFile(filePath, options = {}) {
+    return this.invoke('uploadFile', fileUploadParams(filePath), options);
+  }
+
+  // --- 情報取得 ---
+
+  getElement(selector, options) {
+    return this.invoke('getElement', { selector }, options);
+  }
+
+  getElements(selector, options) {
+    return this.invoke('getElements', { selector }, options);
+  }
+
+  getText(selector, options) {
+    return this.invoke('getText', { selector }, options);
+  }
+
+  getHtml(selector, options) {
+    return this.invoke('getHtml', { selector }, options);
+  }
+
+  // 本文を Markdown にしたもの（markdown）とタイトル・著者・公開日等
+  extractContent(options) {
+    return this.invoke('extractContent', {}, options);
+  }
+
+  getAttribute(selector, attribute, options) {
+    return this.invoke('getAttribute', { selector, attribute }, options);
+  }
+
+  waitForElement(selector, options) {
+    return this.invoke('waitForElement', { selector }, options);
+  }
+
+  getPageInfo(options) {
+    return this.invoke('getPageInfo', {}, options);
+  }
+
+  // 検索結果ページを開いて { title, url, snippet, rank } を取り出す（search.js）
+  searchWeb(query, options) {
+    return searchWeb(this, query, options);
+  }
+
+  // 要素の ref（ref=e12）は cdpClick / cdpType / getElement の selector に使える
+  snapshot(options) {
+    return this.invoke('snapshot', {}, options);
+  }
+
+  // outputPath 指定時はファイルに書き出し、{ path, bytes, mimeType } を返す
+  screenshot(options) {
+    return this.takeScreenshot('screenshot', options);
+  }
+
+  // --- コンソール・ネットワーク・イベント ---
+
+  readConsole(options) {
+    return this.invoke('readConsole', {}, options);
+  }
+
+  readNetwork(options) {
+    return this.invoke('readNetwork', {}, options);
+  }
+
+  getResponseBody(requestId, options) {
+    return this.invoke('getResponseBody', { requestId }, options);
+  }
+
+  // --- リクエストのルーティング ---
+
+  // action: abort / fulfill（status・headers・body で応答）/ continue（headers でリクエストヘッダーを書き換え）
+  addRoute(urlPattern, options) {
+    return this.invoke('addRoute', { urlPattern }, options);
+  }
+
+  // routeId を省略するとタブのルートを全部外す
+  removeRoute(routeId, options) {
+    return this.invoke('removeRoute', { routeId }, options);
+  }
+
+  listRoutes(options) {
+    return this.invoke('listRoutes', {}, options);
+  }
+
+  // 開いているダイアログを閉じる（accept のデフォルトは true、prompt には promptText を入力）
+  handleDialog(options = {}) {
+    const { accept, promptText, ...rest } = options;
+    return this.invoke('handleDialog', { accept, promptText }, rest);
+  }
+
+  // action: accept / dismiss（以降のダイアログを自動で閉じる）/ manual（handleDialog で閉じる）
+  setDialogPolicy(action, options = {}) {
+    const { promptText, ...rest } = options;
+    return this.invoke('setDialogPolicy', { action, promptText }, rest);
+  }
+
+  // outputPath 指定時は HAR をファイルに書き出し、{ path, entries, bytes } を返す（har.js）
+  exportHar(options = {}) {
+    const { timeout, browser, signal, ...params } = options;
+    return exportHar(this, params, { timeout, browser, signal });
+  }
+
+  // 購読したイベントは 'event' として emit される（bridge.on('event', ...)）
+  subscribe(events, options) {
+    return this.invoke('subscribe', { events }, options);
+  }
+
+  unsubscribe(subscriptionId, options) {
+    return this.invoke('unsubscribe', { subscriptionId }, options);
+  }
+
+  async takeScreenshot(command, { outputPath, ...options } = {}) {
+    // 形式の指定がなければ出力先の拡張子に合わせる
+    if (outputPath && !options.format) options.format = imageFormatForPath(outputPath);
+    const result = await this.invoke(command, {}, options);
+    return outputPath ? saveDataUrl(result.dataUrl, outputPath) : result;
+  }
+
+  // --- その他 ---
+
+  listBrowsers(options) {
+    return this.invoke('listBrowsers', {}, options);
+  }
+
+  debuggerAttach(options) {
+    return this.invoke('debuggerAttach', {}, options);
+  }
+
+  debuggerDetach(options) {
+    return this.invoke('debuggerDetach', {}, options);
+  }
+}
+
+module.exports = {
+  ChromeBridge, BridgeError, ErrorCodes, DEFAULT_PORT, saveDataUrl, imageFormatForPath
+};
@@ -12,315 +12,481 @@
  *   node client.js cdpType "#input" "text"             # CDP: ネイティブ入力
  *   node client.js readConsole                         # コンソールログ取得
  *   node client.js readNetwork                         # ネットワークログ取得
+ *   node client.js follow console,network              # イベントを流し続ける（tail -f 風）
+ *   node client.js run flow.yaml --var user=me         # 手順ファイルを1本の接続で実行
+ *   node client.js repl                                # 対話モード（.save でスクリプト化）
  */
 
-const WebSocket = require('ws');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadEnv } = require('./env');
+const { ChromeBridge, saveDataUrl, imageFormatForPath } = require('./bridge');
+const { loadScript, runScript } = require('./runner');
+const { ErrorCodes, BridgeError } = require('./protocol');
+const {
+  COMMANDS: REGISTRY, parseCliArgs, parseTabId, runCommand, formatCommandUsage
+} = require('./commands');
+
+loadEnv();
 
 // CC_BRIDGE_PORT環境変数で接続先を切り替え可能（CC専用Chrome: 8766）
 const WS_URL = `ws://localhost:${process.env.CC_BRIDGE_PORT || 8765}`;
+// サーバー側の BRIDGE_TOKEN と一致させる（未設定なら送らない）
+const BRIDGE_TOKEN = process.env.BRIDGE_TOKEN || undefined;
+
+// エラーコードごとの終了コード（シェルスクリプトから失敗理由を判別できるようにする）
+const EXIT_CODES = {
+  [ErrorCodes.ELEMENT_NOT_FOUND]: 3,
+  [ErrorCodes.NO_TAB]: 4,
+  [ErrorCodes.DEBUGGER_ATTACH_FAILED]: 5,
+  [ErrorCodes.TIMEOUT]: 6,
+  [ErrorCodes.NOT_CONNECTED]: 7,
+  [ErrorCodes.UNAUTHORIZED]: 8,
+  [ErrorCodes.BROWSER_NOT_FOUND]: 9,
+  [ErrorCodes.EVALUATION_FAILED]: 10,
+  [ErrorCodes.CONTENT_SCRIPT_UNAVAILABLE]: 11,
+  [ErrorCodes.CANCELLED]: 12,
+  [ErrorCodes.NAVIGATION_FAILED]: 13,
+  [ErrorCodes.SEARCH_BLOCKED]: 14,
+  [ErrorCodes.DIALOG_OPEN]: 15,
+  [ErrorCodes.UNKNOWN_COMMAND]: 2,
+  [ErrorCodes.INVALID_PARAMS]: 2
+};
+
+// 接続は ChromeBridge（bridge.js）が保持する。run / repl では1本の接続を使い回す
+function createBridge() {
+  return new ChromeBridge({ url: WS_URL, token: BRIDGE_TOKEN });
+}
 
-async function sendCommand(command, params = {}) {
-  return new Promise((resolve, reject) => {
-    const ws = new WebSocket(WS_URL);
-    let resolved = false;
-
-    ws.on('open', () => {
-      ws.send(JSON.stringify({ command, params }));
-    });
-
-    ws.on('message', (data) => {
-      if (!resolved) {
-        resolved = true;
-        const response = JSON.parse(data.toString());
-        ws.close();
-
-        if (response.error) {
-          reject(new Error(response.error));
-        } else {
-          resolve(response.result);
-        }
-      }
-    });
+async function sendCommand(command, params = {}, options = {}) {
+  const bridge = createBridge();
+  try {
+    return await runCommand(bridge, command, params, options);
+  } finally {
+    bridge.close();
+  }
+}
 
-    ws.on('error', (error) => {
-      if (!resolved) {
-        resolved = true;
-        reject(error);
-      }
-    });
+// --browser 等のオプションを位置引数から分離
+function extractOptions(argv) {
+  const options = {
+    // 複数ブラウザ接続時の送信先（BRIDGE_BROWSER で既定値を設定可能）
+    browser: process.env.BRIDGE_BROWSER || undefined
+  };
+  const args = [];
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--browser') {
+      options.browser = argv[++i];
+    } else if (argv[i] === '--timeout') {
+      options.timeout = parseInt(argv[++i]);
+    } else if (argv[i] === '--target') {
+      options.target = parseTarget(argv[++i]);
+    } else if (argv[i] === '--out') {
+      // 結果の dataUrl（スクリーンショット）をファイルに書き出す
+      options.out = argv[++i];
+    } else if (argv[i] === '--var') {
+      // run: スクリプトの変数を上書き（--var key=value、複数指定可）
+      const [key, ...value] = argv[++i].split('=');
+      options.vars = { ...options.vars, [key]: value.join('=') };
+    } else {
+      args.push(argv[i]);
+    }
+  }
+  return { options, args };
+}
 
-    setTimeout(() => {
-      if (!resolved) {
-        resolved = true;
-        ws.close();
-        reject(new Error('Connection timeout'));
-      }
-    }, 30000);
-  });
+// --target の値: 'url=*itch.io*' / 'title=Dashboard' / それ以外はターゲットID
+function parseTarget(value = '') {
+  const match = value.match(/^(url|title|id)=(.*)$/);
+  return match ? { [match[1]]: match[2] } : { id: value };
 }
 
+// REPL の補完候補（レジストリのコマンド + クライアント専用コマンド）
+const CLIENT_COMMANDS = ['follow', 'run', 'repl'];
+const COMMAND_NAMES = [
+  ...Object.keys(REGISTRY).filter(name => !REGISTRY[name].streaming),
+  ...CLIENT_COMMANDS
+];
+
 // コマンドライン引数をパース
 function parseArgs() {
-  const args = process.argv.slice(2);
+  const { options, args } = extractOptions(process.argv.slice(2));
   if (args.length === 0) {
     printUsage();
     process.exit(1);
   }
 
+  try {
+    return { ...parseCommand(args, options), options };
+  } catch (error) {
+    console.error(`Error [${error.code}]: ${error.message}`);
+    if (error.code === ErrorCodes.UNKNOWN_COMMAND) printUsage();
+    process.exit(EXIT_CODES[error.code] || 1);
+  }
+}
+
+// 位置引数をコマンド名とパラメータに変換（CLI と REPL で共通）
+// ブリッジのコマンドは commands.js の定義で解析する
+function parseCommand(args, options = {}) {
   const command = args[0];
-  const params = {};
+  let params = {};
 
   switch (command) {
-    case 'navigate':
-    case 'newTab':
-      params.url = args[1];
+    // スクリプト実行（runner.js）
+    case 'run':
+      params.file = args[1];
+      if (!params.file) {
+        throw new BridgeError(ErrorCodes.INVALID_PARAMS, 'Usage: run <flow.json|flow.yaml> [--var key=value]');
+      }
       break;
 
-    case 'click':
-      params.selector = args[1];
-      if (args[2] && args[3]) {
-        params.x = parseInt(args[2]);
-        params.y = parseInt(args[3]);
-      }
+    case 'repl':
+      // パラメータなし
       break;
 
-    case 'type':
-      params.selector = args[1];
-      params.text = args[2];
-      params.clear = args[3] !== 'false';
-      params.pressEnter = args[4] === 'true';
+    // イベント購読: follow [events] [tabId]
+    case 'follow':
+      params.events = args[1] ? args[1].split(',').map(e => e.trim()).filter(Boolean) : undefined;
+      params.tabId = parseTabId(args[2]);
       break;
 
-    // CDP: ネイティブクリック
-    case 'cdpClick':
-      params.selector = args[1];
-      if (args[2] && args[3]) {
-        params.x = parseInt(args[2]);
-        params.y = parseInt(args[3]);
+    default:
+      if (!REGISTRY[command] || REGISTRY[command].streaming) {
+        throw new BridgeError(ErrorCodes.UNKNOWN_COMMAND, `Unknown command: ${command}`);
       }
-      break;
+      params = parseCliArgs(command, args.slice(1));
+      // --out の拡張子から形式を決める（明示指定が優先）
+      if (REGISTRY[command].image && !params.format) {
+        params.format = imageFormatForPath(options.out) || 'png';
+      }
+  }
 
-    // CDP: ネイティブ入力
-    case 'cdpType':
-      params.selector = args[1];
-      params.text = args[2];
-      params.clear = args[3] !== 'false';
-      params.pressEnter = args[4] === 'true';
-      break;
+  // 操作対象タブの指定（server-cc.js の CDP ターゲット選択）
+  if (options.target) params.target = options.target;
 
-    // CDP: スクロール
-    case 'cdpScroll':
-      if (args[1]?.startsWith('#') || args[1]?.startsWith('.') || args[1]?.startsWith('//')) {
-        params.selector = args[1];
-      } else {
-        params.deltaX = parseInt(args[1]) || 0;
-        params.deltaY = parseInt(args[2]) || 300;
-      }
-      break;
+  return { command, params };
+}
 
-    case 'scroll':
-      if (args[1]?.startsWith('#') || args[1]?.startsWith('.') || args[1]?.startsWith('//')) {
-        params.selector = args[1];
-      } else {
-        params.x = parseInt(args[1]) || 0;
-        params.y = parseInt(args[2]) || 0;
-      }
-      break;
+function printUsage() {
+  console.log(`
+Claude Code Chrome Bridge Client v2.0
 
-    case 'getElement':
-    case 'getText':
-    case 'waitForElement':
-      params.selector = args[1];
-      if (args[2]) params.timeout = parseInt(args[2]);
-      break;
+使用方法:
+  node client.js [--browser <name>] [--timeout <ms>] <command> [arguments]
+
+オプション:
+  --browser <name>              送信先ブラウザ（複数接続時。BRIDGE_BROWSER でも指定可）
+  --timeout <ms>                コマンド全体のタイムアウト（既定: 30000、
+                                waitForElement / evaluate は待機時間に合わせて延長）
+  --target <id|url=..|title=..> 操作対象タブ（CC専用 Chrome: CC_BRIDGE_PORT=8766）
+                                例: --target 'url=*itch.io*' / --target title=Dashboard
+  --var <key=value>             run: スクリプトの変数を上書き（複数指定可）
+  --out <file>                  screenshot: 画像をファイルに保存（.jpg なら JPEG で撮影）
+                                exportHar: HAR の書き出し先
 
-    case 'getElements':
-      params.selector = args[1];
-      params.limit = parseInt(args[2]) || 100;
-      break;
+コマンド:
+${formatCommandUsage()}
+  イベント購読・スクリプト実行・対話モード:
+    follow [events] [tabId]     イベントを逐次表示（Ctrl+C で終了）
+                                events: console,network,navigation,tabs（省略で全部）
+    run <file> [--var key=value]
+                                JSON / YAML の手順を1本の接続で順に実行（書式は runner.js 参照）
+                                変数・capture・expect・retries・continueOnError に対応
+                                失敗したステップがあれば終了コード 1
+    repl                        接続を保持したまま対話的にコマンドを実行
+                                Tab で補完、.save <file> で run 用スクリプトを保存
+                                履歴は ~/.chrome_bridge_history（BRIDGE_HISTORY=off で保存しない）
+
+終了コード:
+  0 成功 / 1 その他のエラー / 2 不明なコマンド・引数エラー / 3 ELEMENT_NOT_FOUND
+  4 NO_TAB / 5 DEBUGGER_ATTACH_FAILED / 6 TIMEOUT / 7 NOT_CONNECTED / 8 UNAUTHORIZED
+  9 BROWSER_NOT_FOUND / 10 EVALUATION_FAILED / 11 CONTENT_SCRIPT_UNAVAILABLE / 12 CANCELLED
+  13 NAVIGATION_FAILED / 14 SEARCH_BLOCKED / 15 DIALOG_OPEN
 
-    case 'getHtml':
-      params.selector = args[1];
-      params.outer = args[2] === 'true';
-      break;
+セレクタ:
+  CSS セレクタ: #id, .class, div > span
+  XPath: //div[@id="foo"], //button[contains(text(), "送信")]
+`);
+}
 
-    case 'getAttribute':
-      params.selector = args[1];
-      params.attribute = args[2];
+// イベントを1行に整形
+function formatEvent(message) {
+  const time = new Date(message.timestamp).toISOString().slice(11, 23);
+  const { event, tabId, data = {} } = message;
+  let detail;
+  switch (event) {
+    case 'console':
+      detail = `${data.type}: ${data.text}${data.url ? ` (${data.url}${data.line ? `:${data.line}` : ''})` : ''}`;
       break;
-
-    case 'switchTab':
-    case 'closeTab':
-      params.tabId = args[1] ? parseInt(args[1]) : undefined;
+    case 'network':
+      // 失敗したリクエストはステータスの代わりにエラー（net::ERR_*）
+      detail = data.state === 'failed'
+        ? `${data.method || ''} ${data.url} (${data.error})`
+        : `${data.status} ${data.method || ''} ${data.mimeType || ''} ${data.url}`;
       break;
-
-    case 'screenshot':
-    case 'cdpScreenshot':
-      params.format = args[1] || 'png';
-      params.quality = parseInt(args[2]) || 100;
+    case 'navigation':
+      detail = `${data.phase} ${data.url}${data.error ? ` (${data.error})` : ''}`;
       break;
-
-    // CDP: メインワールドJS実行（CSPバイパス）
-    case 'evaluate':
-      params.script = args.slice(1).join(' ');
+    case 'tabs':
+      detail = [data.action, data.status, data.url, data.title].filter(Boolean).join(' ');
       break;
+    default:
+      detail = JSON.stringify(data);
+  }
+  return `${time} [${event}] tab=${tabId} ${detail}`;
+}
 
-    // コンソール・ネットワーク取得
-    case 'readConsole':
-      params.limit = parseInt(args[1]) || 100;
-      params.clear = args[2] === 'true';
-      break;
+// follow モード: subscribe したまま接続を保持し、届いたイベントを逐次表示する
+// Ctrl+C で購読解除して終了
+async function follow(params, options) {
+  const bridge = createBridge();
+  const closed = new Promise(resolve => bridge.on('close', resolve));
 
-    case 'readNetwork':
-      params.limit = parseInt(args[1]) || 50;
-      params.clear = args[2] === 'true';
-      break;
+  bridge.on('event', message => console.log(formatEvent(message)));
+  bridge.on('subscriptionEnded', message => {
+    console.error(`購読終了: ${message.reason}`);
+    bridge.close();
+  });
 
-    case 'uploadFile':
-      // uploadFile <filePath> [selector]
-      {
-        const filePath = args[1];
-        const fs = require('fs');
-        const path = require('path');
+  try {
+    const { subscriptionId, events } = await bridge.send('subscribe', params, options);
+    console.error(`購読開始: ${events.join(', ')}（Ctrl+C で終了）`);
 
-        if (!filePath) {
-          console.error('Usage: uploadFile <filePath> [selector]');
-          process.exit(1);
-        }
+    process.on('SIGINT', async () => {
+      await bridge.unsubscribe(subscriptionId, { timeout: 2000 }).catch(() => {});
+      bridge.close();
+    });
+  } catch (error) {
+    bridge.close();
+    throw error;
+  }
+  await closed;
+}
 
-        if (!fs.existsSync(filePath)) {
-          console.error(`File not found: ${filePath}`);
-          process.exit(1);
-        }
+// run モード: スクリプトの各ステップを1本の接続で実行し、最後に集計を表示する
+const STATUS_MARKS = { passed: '✓', failed: '✗', ignored: '!', skipped: '-' };
 
-        const fileBuffer = fs.readFileSync(filePath);
-        params.data = fileBuffer.toString('base64');
-        params.filename = path.basename(filePath);
-        params.selector = args[2];
-
-        const ext = path.extname(filePath).toLowerCase();
-        const mimeTypes = {
-          '.png': 'image/png',
-          '.jpg': 'image/jpeg',
-          '.jpeg': 'image/jpeg',
-          '.gif': 'image/gif',
-          '.webp': 'image/webp',
-          '.pdf': 'application/pdf',
-          '.zip': 'application/zip',
-        };
-        params.mimeType = mimeTypes[ext] || 'application/octet-stream';
-      }
-      break;
+function formatStep(report) {
+  const mark = STATUS_MARKS[report.status];
+  if (report.status === 'skipped') return `  ${mark} ${report.index}. ${report.label} (skipped)`;
 
-    case 'setHtml':
-      // setHtml <selector> <htmlFile>
-      {
-        const fs = require('fs');
-        params.selector = args[1];
-        const htmlFile = args[2];
-        if (htmlFile && fs.existsSync(htmlFile)) {
-          params.html = fs.readFileSync(htmlFile, 'utf-8');
-        } else {
-          params.html = args.slice(2).join(' ');
-        }
-      }
-      break;
+  const attempts = report.attempts > 1 ? `${report.attempts} attempts, ` : '';
+  let line = `  ${mark} ${report.index}. ${report.label} (${attempts}${report.duration}ms)`;
+  if (report.error) {
+    line += `\n      Error${report.error.code ? ` [${report.error.code}]` : ''}: ${report.error.message}`;
+  }
+  return line;
+}
 
-    case 'getTabs':
-    case 'getPageInfo':
-    case 'goBack':
-    case 'goForward':
-    case 'reload':
-    case 'debuggerAttach':
-    case 'debuggerDetach':
-      // パラメータなし
-      break;
+async function runFile(params, options) {
+  const script = loadScript(params.file);
+  const bridge = createBridge();
+  const startedAt = Date.now();
 
-    default:
-      console.error(`Unknown command: ${command}`);
-      printUsage();
-      process.exit(1);
+  console.log(`▶ ${script.name} (${script.steps.length} steps)`);
+  try {
+    const summary = await runScript(script, (command, stepParams, stepOptions) => {
+      // --target / --browser / --timeout はステップ側の指定がなければ全体に適用
+      const merged = options.target && stepParams.target === undefined
+        ? { ...stepParams, target: options.target }
+        : stepParams;
+      return runCommand(bridge, command, merged, {
+        timeout: stepOptions.timeout ?? options.timeout,
+        browser: stepOptions.browser ?? options.browser
+      });
+    }, {
+      vars: options.vars,
+      onStep: report => console.log(formatStep(report))
+    });
+
+    const elapsed = ((Date.now() - startedAt) / 1000).toFixed(1);
+    console.log(`\n結果: 成功 ${summary.passed} / 失敗 ${summary.failed} / 無視 ${summary.ignored} / スキップ ${summary.skipped}（${elapsed}s）`);
+    return summary;
+  } finally {
+    bridge.close();
   }
+}
 
-  return { command, params };
+// --- REPL ---
+// 1本の接続を保持したまま CLI と同じ書式のコマンドを対話的に実行する
+// type / setHtml のパスワード等も残るので本人だけ読める権限で作る（BRIDGE_HISTORY=off で残さない）
+const HISTORY_FILE = path.join(os.homedir(), '.chrome_bridge_history');
+const HISTORY_SIZE = 500;
+const HISTORY_ENABLED = !['0', 'off', 'false'].includes((process.env.BRIDGE_HISTORY || '').toLowerCase());
+const REPL_COMMANDS = ['.help', '.save', '.exit'];
+
+// シェル風に引数を分割（'...' / "..." / バックスラッシュエスケープ）
+function splitArgs(line) {
+  const args = [];
+  let current = null;
+  let quote = null;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quote) {
+      if (ch === quote) quote = null;
+      else if (ch === '\\' && quote === '"' && i + 1 < line.length) current += line[++i];
+      else current += ch;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+      current = current ?? '';
+    } else if (ch === '\\' && i + 1 < line.length) {
+      current = (current ?? '') + line[++i];
+    } else if (/\s/.test(ch)) {
+      if (current !== null) args.push(current);
+      current = null;
+    } else {
+      current = (current ?? '') + ch;
+    }
+  }
+  if (quote) throw new BridgeError(ErrorCodes.INVALID_PARAMS, 'Unterminated quote');
+  if (current !== null) args.push(current);
+  return args;
 }
 
-function printUsage() {
-  console.log(`
-Claude Code Chrome Bridge Client v2.0
+function loadHistory() {
+  if (!HISTORY_ENABLED) return [];
+  try {
+    // 以前の版が作った 0644 のファイルも絞る
+    fs.chmodSync(HISTORY_FILE, 0o600);
+    // readline の history は新しい順
+    return fs.readFileSync(HISTORY_FILE, 'utf-8').split('\n').filter(Boolean).reverse().slice(0, HISTORY_SIZE);
+  } catch {
+    return [];
+  }
+}
 
-使用方法:
-  node client.js <command> [arguments]
+function replCompleter(line) {
+  const words = line.split(/\s+/);
+  // コマンド名のみ補完（引数はセレクタ等なので補完しない）
+  if (words.length > 1) return [[], line];
+  const candidates = [...COMMAND_NAMES, ...REPL_COMMANDS].filter(c => c.startsWith(line));
+  return [candidates, line];
+}
 
-コマンド:
-  ナビゲーション:
-    navigate <url>              URL に移動
-    newTab [url]                新しいタブを開く
-    closeTab [tabId]            タブを閉じる
-    getTabs                     全タブ一覧を取得
-    switchTab <tabId>           タブを切り替え
-    goBack / goForward / reload 戻る / 進む / リロード
-
-  CDP操作（メインワールド実行、CSPバイパス）:
-    evaluate <script>           JavaScriptをページのメインワールドで実行
-                                ※ Selectize, Redactor等のAPIにアクセス可能
-    cdpClick <selector>         ネイティブマウスクリック
-    cdpClick _ <x> <y>          座標クリック
-    cdpType <selector> <text> [clear] [pressEnter]
-                                ネイティブキーボード入力
-    cdpScroll <selector>        要素までスクロール
-    cdpScroll <deltaX> <deltaY> マウスホイールスクロール
-    cdpScreenshot [format] [quality]
-                                CDP経由スクリーンショット
-
-  Content Script操作（DOMベース、フォールバック用）:
-    click <selector>            クリック
-    type <selector> <text> [clear] [pressEnter]
-                                テキスト入力
-    scroll <x> <y>              スクロール
-
-  情報取得:
-    getElement <selector>       要素情報を取得
-    getElements <selector> [limit]
-                                複数要素を取得
-    getText [selector]          テキストを取得
-    getHtml [selector] [outer]  HTML を取得
-    getAttribute <selector> <attr>
-                                属性を取得
-    waitForElement <selector> [timeout]
-                                要素を待機
-    getPageInfo                 ページ情報を取得
-
-  コンソール・ネットワーク:
-    readConsole [limit] [clear] ブラウザコンソールのログを取得
-    readNetwork [limit] [clear] ネットワークリクエストを取得
-
-  その他:
-    screenshot [format] [quality]
-                                スクリーンショット
-    uploadFile <path> [selector]
-                                ファイルをアップロード
-    setHtml <selector> <html>   HTML設定（Redactor対応）
-    debuggerAttach              CDPデバッガーを手動アタッチ
-    debuggerDetach              CDPデバッガーを手動デタッチ
+// .save: 成功したコマンドを run で再生できるスクリプトとして書き出す
+function saveSession(file, steps) {
+  const script = { steps };
+  const text = /\.ya?ml$/i.test(file)
+    ? require('yaml').stringify(script)
+    : JSON.stringify(script, null, 2) + '\n';
+  fs.writeFileSync(file, text);
+}
 
-セレクタ:
-  CSS セレクタ: #id, .class, div > span
-  XPath: //div[@id="foo"], //button[contains(text(), "送信")]
-`);
+async function startRepl(baseOptions) {
+  const readline = require('readline');
+  const util = require('util');
+
+  const bridge = createBridge();
+  await bridge.connect();
+  const steps = [];
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+    prompt: 'bridge> ',
+    completer: replCompleter,
+    history: loadHistory(),
+    historySize: HISTORY_SIZE
+  });
+
+  console.log(`Connected to ${WS_URL}（.help でコマンド一覧、.exit で終了）`);
+  rl.prompt();
+
+  async function execute(line) {
+    if (line === '.help') {
+      printUsage();
+      console.log('REPL コマンド:\n  .save <file.json|file.yaml>  成功したコマンドをスクリプトとして保存\n  .exit                        終了\n');
+      return;
+    }
+    if (line === '.exit') {
+      rl.close();
+      return;
+    }
+    if (line.startsWith('.save')) {
+      const file = line.slice('.save'.length).trim();
+      if (!file) throw new BridgeError(ErrorCodes.INVALID_PARAMS, 'Usage: .save <file.json|file.yaml>');
+      saveSession(file, steps);
+      console.log(`${steps.length} steps saved to ${file}（node client.js run ${file} で再生）`);
+      return;
+    }
+
+    const { options, args } = extractOptions(splitArgs(line));
+    const merged = { ...baseOptions, ...Object.fromEntries(Object.entries(options).filter(([, v]) => v !== undefined)) };
+    const { command, params } = parseCommand(args, merged);
+    if (command === 'follow' || command === 'run' || command === 'repl') {
+      throw new BridgeError(ErrorCodes.INVALID_PARAMS, `${command} is not available in the REPL`);
+    }
+
+    // サーバー側から切断されていても bridge が次の send で張り直す
+    const result = await runCommand(bridge, command, params, merged);
+    console.log(util.inspect(result, { depth: null, colors: process.stdout.isTTY, maxStringLength: 2000 }));
+
+    const step = { command, params };
+    if (merged.timeout) step.timeout = merged.timeout;
+    if (merged.browser) step.browser = merged.browser;
+    steps.push(step);
+  }
+
+  // 貼り付け等で複数行が届いても1行ずつ順に実行する
+  let queue = Promise.resolve();
+  rl.on('line', (input) => {
+    queue = queue.then(async () => {
+      const line = input.trim();
+      if (line) {
+        if (HISTORY_ENABLED) fs.appendFileSync(HISTORY_FILE, line + '\n', { mode: 0o600 });
+        try {
+          await execute(line);
+        } catch (error) {
+          console.error(`Error${error.code ? ` [${error.code}]` : ''}: ${error.message}`);
+        }
+      }
+      rl.prompt();
+    });
+  });
+
+  return new Promise((resolve) => {
+    rl.on('close', () => {
+      queue.then(() => {
+        bridge.close();
+        resolve();
+      });
+    });
+  });
 }
 
 // メイン
 async function main() {
-  const { command, params } = parseArgs();
+  const { command, params, options } = parseArgs();
 
   try {
-    const result = await sendCommand(command, params);
+    if (command === 'follow') {
+      await follow(params, options);
+      return;
+    }
+    if (command === 'repl') {
+      await startRepl(options);
+      return;
+    }
+    if (command === 'run') {
+      const summary = await runFile(params, options);
+      if (!summary.ok) process.exit(1);
+      return;
+    }
+
+    const result = await sendCommand(command, params, options);
+    if (options.out && result?.dataUrl) {
+      console.log(JSON.stringify(saveDataUrl(result.dataUrl, options.out), null, 2));
+      return;
+    }
     console.log(JSON.stringify(result, null, 2));
   } catch (error) {
-    console.error('Error:', error.message);
-    process.exit(1);
+    console.error(`Error${error.code ? ` [${error.code}]` : ''}:`, error.message);
+    process.exit(EXIT_CODES[error.code] || 1);
   }
 }
 
-main();
+if (require.main === module) {
+  main();
+}
+
+module.exports = { parseCommand, splitArgs };
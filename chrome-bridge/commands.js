@@ -0,0 +1,747 @@
+/**
+ * Bridge コマンドレジストリ
+ *
+ * 拡張機能（background.js）/ server-cc.js が受け付けるコマンドの一覧と引数の定義。
+ * client.js の引数解析・使用方法の表示と、mcp-server.js のツール一覧はここから生成する。
+ * コマンドを追加するときはここに1件足せば CLI と MCP の両方に出る。
+ *
+ * 各コマンドの定義:
+ *   group        使用方法で見出しにするグループ
+ *   description  MCP ツールの説明・使用方法の説明
+ *   params       引数（JSON Schema の properties。required は required 配列）
+ *   args         CLI の位置引数（params のキー。'...' 始まりは残り全部を空白で連結）
+ *                位置引数にない params も --kebab-case で渡せる（例: --full-page --max-width 800）
+ *   usage        使用方法の表示を上書き（[書式, 説明] の配列）
+ *   parseArgs    CLI 位置引数の独自解析（args の代わり）
+ *   toParams     送信前の変換（ファイルパス → base64 等）
+ *   run          ブリッジのコマンドを組み合わせてクライアント側で実行する（send の代わり）
+ *   image        結果が dataUrl の画像（MCP では image コンテンツで返す）
+ *   toText       MCP で JSON の代わりに返すテキスト（長いテキストを読みやすく返す）
+ *   mcpDefaults  MCP から呼ぶときの params のデフォルト（大きな結果を分割する maxChars 等）
+ *   streaming    subscribe 系。CLI（follow）と MCP リソースが個別に扱う
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ErrorCodes, BridgeError } = require('./protocol');
+const { searchWeb, ENGINES, DEFAULT_ENGINE } = require('./search');
+const { exportHar } = require('./har');
+
+// 共通の引数
+const TAB_ID = {
+  type: ['number', 'string'],
+  description: '対象タブID（省略でアクティブタブ。CC専用 Chrome ではターゲットID）'
+};
+const SELECTOR = { type: 'string', description: 'CSSセレクタまたはXPath' };
+// snapshot の ref も使えるコマンド用
+const ELEMENT_SELECTOR = { type: 'string', description: 'CSSセレクタ・XPath、または snapshot の ref（例: ref=e12）' };
+const WAIT_UNTIL = {
+  type: 'string',
+  description: 'load / domcontentloaded / networkidle / URLパターン（例: *://example.com/done*）。指定時は完了まで待ち、最終URL・HTTPステータス・リダイレクトを返す'
+};
+const WAIT_TIMEOUT = { type: 'number', description: '待機タイムアウトms（デフォルト: 30000）' };
+const SCREENSHOT_PARAMS = {
+  format: { type: 'string', enum: ['png', 'jpeg', 'webp'], description: '画像形式（デフォルト: png）' },
+  quality: { type: 'number', description: 'JPEG / WebP の品質（0-100）' },
+  fullPage: { type: 'boolean', description: 'ビューポート外も含めたページ全体' },
+  selector: { type: 'string', description: 'この要素の範囲だけを撮る' },
+  scale: { type: 'number', description: 'デバイススケール（2 で Retina 相当）' },
+  maxWidth: { type: 'number', description: '出力画像の最大幅（px）。超える場合は縮小して撮る' },
+  maxHeight: { type: 'number', description: '出力画像の最大高さ（px）' },
+  tabId: TAB_ID
+};
+// getText / getHtml のページング
+const TEXT_PAGE_PARAMS = {
+  maxChars: { type: 'number', description: '最大文字数。超えた分は truncated: true と nextCursor（次の offset）で続きを取る' },
+  offset: { type: 'number', description: '開始位置（文字数、デフォルト: 0）' },
+  cursor: { type: 'number', description: '前回の結果の nextCursor（offset と同じ）' }
+};
+// readConsole / readNetwork のページング（cursor はエントリの seq）
+const LOG_PAGE_PARAMS = {
+  maxChars: { type: 'number', description: '返すエントリの合計文字数（JSON）の上限。超えた分は truncated: true' },
+  cursor: { type: 'number', description: '前回の結果の nextCursor。指定するとそれより後のエントリを古い順に返す（新着の追跡）' },
+  before: { type: 'number', description: '前回の結果の prevCursor。それより前の最新エントリを返す（limit・maxChars で削られた古い側の続き）' }
+};
+// readNetwork / exportHar の絞り込み
+const NETWORK_FILTER_PARAMS = {
+  url: { type: 'string', description: 'URL の部分一致' },
+  method: { type: 'string', description: 'HTTP メソッド（GET / POST 等）' },
+  status: { type: ['number', 'string'], description: 'ステータス（404 / 4xx / failed）' }
+};
+// MCP で maxChars を省略したときの1回分の文字数（コンテキストを溢れさせない）
+const MCP_PAGE_CHARS = 20000;
+
+const MIME_TYPES = {
+  '.png': 'image/png', '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif', '.webp': 'image/webp', '.pdf': 'application/pdf',
+  '.zip': 'application/zip', '.csv': 'text/csv', '.txt': 'text/plain'
+};
+
+// uploadFile: ローカルのファイルを読んで Content Script に渡せる形にする
+function fileUploadParams(filePath) {
+  if (!filePath || !fs.existsSync(filePath)) {
+    throw new BridgeError(ErrorCodes.INVALID_PARAMS, `File not found: ${filePath}`);
+  }
+  return {
+    data: fs.readFileSync(filePath).toString('base64'),
+    filename: path.basename(filePath),
+    mimeType: MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream'
+  };
+}
+
+// 先頭がセレクタらしければ要素、そうでなければ座標・移動量として扱う
+function looksLikeSelector(value) {
+  return Boolean(value) && /^(#|\.|\/\/|\[)/.test(value);
+}
+
+const COMMANDS = {
+  // --- ナビゲーション ---
+  navigate: {
+    group: 'navigation',
+    description: 'URLを開く',
+    params: { url: { type: 'string', description: '開くURL' }, waitUntil: WAIT_UNTIL, timeout: WAIT_TIMEOUT, tabId: TAB_ID },
+    required: ['url'],
+    args: ['url', 'waitUntil']
+  },
+  newTab: {
+    group: 'navigation',
+    description: '新しいタブを開く',
+    params: { url: { type: 'string', description: '開くURL（省略でabout:blank）' } },
+    args: ['url']
+  },
+  closeTab: {
+    group: 'navigation',
+    description: 'タブを閉じる（省略でアクティブタブ）',
+    params: { tabId: TAB_ID },
+    args: ['tabId']
+  },
+  getTabs: {
+    group: 'navigation',
+    description: '全タブの一覧を取得',
+    params: {}
+  },
+  switchTab: {
+    group: 'navigation',
+    description: 'タブを切り替え',
+    params: { tabId: { ...TAB_ID, description: 'タブID' } },
+    required: ['tabId'],
+    args: ['tabId']
+  },
+  goBack: {
+    group: 'navigation',
+    description: '履歴を1つ戻る',
+    params: { waitUntil: WAIT_UNTIL, timeout: WAIT_TIMEOUT, tabId: TAB_ID },
+    args: ['waitUntil']
+  },
+  goForward: {
+    group: 'navigation',
+    description: '履歴を1つ進む',
+    params: { waitUntil: WAIT_UNTIL, timeout: WAIT_TIMEOUT, tabId: TAB_ID },
+    args: ['waitUntil']
+  },
+  reload: {
+    group: 'navigation',
+    description: 'ページを再読み込み',
+    params: { waitUntil: WAIT_UNTIL, timeout: WAIT_TIMEOUT, tabId: TAB_ID },
+    args: ['waitUntil']
+  },
+
+  // --- CDP経由のページ操作（メインワールド実行） ---
+  evaluate: {
+    group: 'cdp',
+    description: 'ページのメインワールドでJavaScriptを実行（CSPバイパス）。window.selectize等のページAPIに直接アクセス可能',
+    params: {
+      script: { type: 'string', description: '実行するJavaScript' },
+      awaitPromise: { type: 'boolean', description: 'Promiseをawaitするか（デフォルト: true）' },
+      timeout: { type: 'number', description: 'タイムアウトms（デフォルト: 10000）' },
+      tabId: TAB_ID
+    },
+    required: ['script'],
+    args: ['...script']
+  },
+  cdpClick: {
+    group: 'cdp',
+    description: 'CDP経由のネイティブクリック。OS級のマウスイベントを送信する',
+    params: {
+      selector: ELEMENT_SELECTOR,
+      x: { type: 'number', description: 'X座標（セレクタ省略時）' },
+      y: { type: 'number', description: 'Y座標（セレクタ省略時）' },
+      button: { type: 'string', enum: ['left', 'middle', 'right'], description: 'マウスボタン（デフォルト: left）' },
+      clickCount: { type: 'number', description: 'クリック回数（2 でダブルクリック）' },
+      tabId: TAB_ID
+    },
+    args: ['selector', 'x', 'y'],
+    usage: [
+      ['cdpClick <selector>', 'ネイティブマウスクリック（ref=e12 で snapshot の要素）'],
+      ['cdpClick _ <x> <y>', '座標クリック']
+    ]
+  },
+  cdpType: {
+    group: 'cdp',
+    description: 'CDP経由のネイティブテキスト入力。Selectize等のkeydownリスナーが正しく反応する',
+    params: {
+      selector: ELEMENT_SELECTOR,
+      text: { type: 'string', description: '入力するテキスト' },
+      clear: { type: 'boolean', description: '既存テキストをクリアするか（デフォルト: true）' },
+      pressEnter: { type: 'boolean', description: 'Enterキーを押すか' },
+      tabId: TAB_ID
+    },
+    required: ['text'],
+    args: ['selector', 'text', 'clear', 'pressEnter']
+  },
+  cdpScroll: {
+    group: 'cdp',
+    description: 'CDP経由のスクロール。selector 指定で要素までスクロール、省略でマウスホイール',
+    params: {
+      selector: SELECTOR,
+      deltaX: { type: 'number', description: '横方向の移動量px' },
+      deltaY: { type: 'number', description: '縦方向の移動量px（デフォルト: 300）' },
+      x: { type: 'number', description: 'ホイールを回す位置のX座標' },
+      y: { type: 'number', description: 'ホイールを回す位置のY座標' },
+      tabId: TAB_ID
+    },
+    parseArgs: (args) => looksLikeSelector(args[0])
+      ? { selector: args[0] }
+      : { deltaX: parseInt(args[0]) || 0, deltaY: parseInt(args[1]) || 300 },
+    usage: [
+      ['cdpScroll <selector>', '要素までスクロール'],
+      ['cdpScroll <deltaX> <deltaY>', 'マウスホイールスクロール']
+    ]
+  },
+  cdpScreenshot: {
+    group: 'cdp',
+    description: 'CDP経由のスクリーンショット（全体・要素・縮小・スケール指定可）',
+    params: SCREENSHOT_PARAMS,
+    args: ['format', 'quality'],
+    image: true,
+    usage: [
+      ['cdpScreenshot [format] [quality] [--full-page] [--selector <sel>] [--scale <n>]',
+        'CDP経由スクリーンショット（--out file.png でファイル保存）\n' +
+        '--full-page: ページ全体 / --selector: 要素のみ\n' +
+        '--scale 2: Retina 相当の解像度\n' +
+        '--max-width / --max-height <px>: 収まるように縮小']
+    ]
+  },
+  cdpUploadFile: {
+    group: 'cdp',
+    description: 'ローカルのファイルパスを input[type=file] に直接設定。ブラウザと同じマシンのファイルのみ',
+    params: {
+      filePaths: { type: 'array', items: { type: 'string' }, description: 'ファイルの絶対パス（CLI ではカンマ区切り）' },
+      selector: { type: 'string', description: 'file input のセレクタ（省略で最初の input[type=file]）' },
+      tabId: TAB_ID
+    },
+    required: ['filePaths'],
+    args: ['filePaths', 'selector']
+  },
+
+  // --- Content Script経由の操作（フォールバック） ---
+  click: {
+    group: 'content',
+    description: 'Content Script経由のクリック（DOM操作）',
+    params: {
+      selector: SELECTOR,
+      x: { type: 'number', description: 'X座標（セレクタ省略時）' },
+      y: { type: 'number', description: 'Y座標（セレクタ省略時）' },
+      tabId: TAB_ID
+    },
+    required: ['selector'],
+    args: ['selector', 'x', 'y']
+  },
+  type: {
+    group: 'content',
+    description: 'Content Script経由のテキスト入力（DOM操作）',
+    params: {
+      selector: SELECTOR,
+      text: { type: 'string', description: '入力するテキスト' },
+      clear: { type: 'boolean', description: '既存テキストをクリアするか（デフォルト: true）' },
+      pressEnter: { type: 'boolean', description: 'Enterを押すか' },
+      append: { type: 'boolean', description: '末尾に追記するか' },
+      tabId: TAB_ID
+    },
+    required: ['selector', 'text'],
+    args: ['selector', 'text', 'clear', 'pressEnter']
+  },
+  scroll: {
+    group: 'content',
+    description: 'Content Script経由のスクロール。selector 指定で要素まで、省略で座標へ',
+    params: {
+      selector: SELECTOR,
+      x: { type: 'number', description: 'スクロール先のX座標' },
+      y: { type: 'number', description: 'スクロール先のY座標' },
+      behavior: { type: 'string', enum: ['smooth', 'auto'], description: 'スクロールの挙動（デフォルト: smooth）' },
+      tabId: TAB_ID
+    },
+    parseArgs: (args) => looksLikeSelector(args[0])
+      ? { selector: args[0] }
+      : { x: parseInt(args[0]) || 0, y: parseInt(args[1]) || 0 },
+    usage: [['scroll <x> <y> / scroll <selector>', 'スクロール']]
+  },
+  setHtml: {
+    group: 'content',
+    description: 'contenteditable要素のHTMLを設定（Redactorエディタ対応）',
+    params: {
+      selector: { type: 'string', description: 'CSSセレクタ' },
+      html: { type: 'string', description: '設定するHTML（CLI ではHTMLファイルのパスも可）' },
+      tabId: TAB_ID
+    },
+    required: ['selector', 'html'],
+    parseArgs: (args) => {
+      const htmlFile = args[1];
+      const html = htmlFile && fs.existsSync(htmlFile)
+        ? fs.readFileSync(htmlFile, 'utf-8')
+        : args.slice(1).join(' ');
+      return { selector: args[0], html };
+    },
+    usage: [['setHtml <selector> <html|htmlFile>', 'HTML設定（Redactor対応）']]
+  },
+  uploadFile: {
+    group: 'content',
+    description: 'ファイルをアップロード。ファイルを読んで base64 で送るので、ブラウザが別マシンでも可',
+    params: {
+      filePath: { type: 'string', description: 'アップロードするファイルのパス' },
+      selector: { type: 'string', description: 'file input のセレクタ（省略で自動検出）' },
+      timeout: { type: 'number', description: 'タイムアウトms（大きなファイル用、デフォルト: 30000）' },
+      tabId: TAB_ID
+    },
+    required: ['filePath'],
+    args: ['filePath', 'selector'],
+    toParams: ({ filePath, ...params }) => ({ ...params, ...fileUploadParams(filePath) })
+  },
+
+  // --- 情報取得 ---
+  getElement: {
+    group: 'read',
+    description: '要素の詳細情報を取得（タグ、属性、位置、テキスト）',
+    params: { selector: ELEMENT_SELECTOR, tabId: TAB_ID },
+    required: ['selector'],
+    args: ['selector']
+  },
+  getElements: {
+    group: 'read',
+    description: '複数要素を取得（一覧表示用）',
+    params: { selector: SELECTOR, limit: { type: 'number', description: '最大件数（デフォルト: 100）' }, tabId: TAB_ID },
+    required: ['selector'],
+    args: ['selector', 'limit']
+  },
+  getText: {
+    group: 'read',
+    description: `ページまたは要素のテキストを取得。MCP では maxChars 省略時 ${MCP_PAGE_CHARS} 文字ずつ返す（続きは nextCursor を cursor に指定）`,
+    params: { selector: { type: 'string', description: 'CSSセレクタ（省略でページ全体）' }, ...TEXT_PAGE_PARAMS, tabId: TAB_ID },
+    args: ['selector'],
+    mcpDefaults: { maxChars: MCP_PAGE_CHARS }
+  },
+  getHtml: {
+    group: 'read',
+    description: `ページまたは要素のHTMLを取得。MCP では maxChars 省略時 ${MCP_PAGE_CHARS} 文字ずつ返す（続きは nextCursor を cursor に指定）`,
+    params: {
+      selector: { type: 'string', description: 'CSSセレクタ（省略でページ全体）' },
+      outer: { type: 'boolean', description: 'outerHTML（デフォルト: false=innerHTML）' },
+      ...TEXT_PAGE_PARAMS,
+      tabId: TAB_ID
+    },
+    args: ['selector', 'outer'],
+    mcpDefaults: { maxChars: MCP_PAGE_CHARS }
+  },
+  extractContent: {
+    group: 'read',
+    description: '本文（article / main、なければ段落の多い要素）を Markdown で取得。ナビゲーション・広告・非表示要素は除く。タイトル・著者・公開日・canonical URL も返す',
+    params: {
+      selector: { type: 'string', description: '本文の要素のCSSセレクタ（省略で自動判定）' },
+      tabId: TAB_ID
+    },
+    args: ['selector'],
+    usage: [['extractContent [selector]', '本文を Markdown で取得（タイトル・著者・公開日付き）']],
+    toText: result => [
+      `# ${result.title}`,
+      result.author && `著者: ${result.author}`,
+      result.published && `公開日: ${result.published}`,
+      `URL: ${result.canonicalUrl}`,
+      '',
+      result.markdown
+    ].filter(line => line !== null && line !== undefined).join('\n')
+  },
+  getAttribute: {
+    group: 'read',
+    description: '要素の属性値を取得',
+    params: { selector: SELECTOR, attribute: { type: 'string', description: '属性名' }, tabId: TAB_ID },
+    required: ['selector', 'attribute'],
+    args: ['selector', 'attribute']
+  },
+  waitForElement: {
+    group: 'read',
+    description: '要素が出現するまで待機',
+    params: { selector: SELECTOR, timeout: { type: 'number', description: 'タイムアウトms（デフォルト: 10000）' }, tabId: TAB_ID },
+    required: ['selector'],
+    args: ['selector', 'timeout']
+  },
+  snapshot: {
+    group: 'read',
+    description: 'アクセシビリティツリーを role / name のリストで取得。各要素の ref（ref=e12）を cdpClick / cdpType / getElement の selector に使える。クラス名が難読化されたサイトでもセレクタを推測せずに操作できる',
+    params: {
+      interactive: { type: 'boolean', description: 'ボタン・リンク・入力欄など操作できる要素だけにする' },
+      tabId: TAB_ID
+    },
+    usage: [['snapshot [--interactive]', 'アクセシビリティツリーと要素の ref を取得（ref=e12 をセレクタに使える）']],
+    toText: result => `${result.title} (${result.url})\n${result.snapshot}`
+  },
+  searchWeb: {
+    group: 'read',
+    description: 'Web検索を実行し、結果を { title, url, snippet, rank } の配列で返す。同意画面・CAPTCHA に当たったら SEARCH_BLOCKED エラー',
+    params: {
+      query: { type: 'string', description: '検索クエリ' },
+      engine: { type: 'string', enum: Object.keys(ENGINES), description: `検索エンジン（デフォルト: ${DEFAULT_ENGINE}）` },
+      page: { type: 'number', description: '開始ページ（1始まり、デフォルト: 1）。続きは結果の nextPage を指定' },
+      pages: { type: 'number', description: '続けて取得するページ数（デフォルト: 1、最大: 5）' },
+      limit: { type: 'number', description: '最大件数' },
+      tabId: TAB_ID
+    },
+    required: ['query'],
+    args: ['...query'],
+    usage: [['searchWeb <query> [--engine bing|duckduckgo] [--page <n>] [--pages <n>]', 'Web検索の結果を構造化して取得']],
+    run: (bridge, { query, ...params }, options) => searchWeb(bridge, query, { ...params, ...options })
+  },
+  getPageInfo: {
+    group: 'read',
+    description: '現在のページ情報（URL・タイトル、開いているダイアログ・直近のダイアログ）を取得',
+    params: { tabId: TAB_ID }
+  },
+  screenshot: {
+    group: 'read',
+    description: 'スクリーンショットを撮る（全体・要素・縮小・スケール指定時は CDP で撮影）',
+    params: SCREENSHOT_PARAMS,
+    args: ['format', 'quality'],
+    image: true,
+    usage: [['screenshot [format] [quality] [--full-page] [--selector <sel>] [--scale <n>]',
+      'スクリーンショット（オプションは cdpScreenshot と同じ）']]
+  },
+
+  // --- コンソール・ネットワーク ---
+  readConsole: {
+    group: 'logs',
+    description: 'ブラウザコンソールのログを取得。エラー、警告、info等を確認できる。console.* のほか未捕捉の例外・ブラウザのメッセージ（CSP 違反・読み込み失敗）も含み、発生元の URL・行・列とエラー時の stackTrace を返す。新着だけ読むときは前回の nextCursor を cursor に指定、truncated で削られた古いエントリは prevCursor を before に指定',
+    params: {
+      limit: { type: 'number', description: '取得件数（デフォルト: 100）' },
+      clear: { type: 'boolean', description: '取得後にクリアするか' },
+      level: {
+        type: 'string',
+        enum: ['verbose', 'info', 'warning', 'error', 'debug', 'log', 'warn'],
+        description: 'この重要度以上だけ（warning なら警告とエラー）'
+      },
+      since: { type: ['number', 'string'], description: 'この時刻以降だけ（epoch ms または ISO 8601）' },
+      ...LOG_PAGE_PARAMS,
+      tabId: TAB_ID
+    },
+    args: ['limit', 'clear'],
+    usage: [['readConsole [limit] [--level warning] [--since <time>]', 'ブラウザコンソールのログを取得']],
+    mcpDefaults: { maxChars: MCP_PAGE_CHARS }
+  },
+  readNetwork: {
+    group: 'logs',
+    description: 'ネットワークリクエスト/レスポンスのログを取得。新着だけ読むときは前回の nextCursor を cursor に指定、truncated で削られた古いエントリは prevCursor を before に指定。details でヘッダー・POSTデータ・タイミングも返す',
+    params: {
+      limit: { type: 'number', description: '取得件数（デフォルト: 50）' },
+      clear: { type: 'boolean', description: '取得後にクリアするか' },
+      ...NETWORK_FILTER_PARAMS,
+      details: { type: 'boolean', description: 'リクエスト/レスポンスヘッダー・POSTデータ・タイミングを含める' },
+      ...LOG_PAGE_PARAMS,
+      tabId: TAB_ID
+    },
+    args: ['limit', 'clear'],
+    usage: [['readNetwork [limit] [--url <s>] [--method <m>] [--status 4xx|failed] [--details]', 'ネットワークログを取得']],
+    mcpDefaults: { maxChars: MCP_PAGE_CHARS }
+  },
+  getResponseBody: {
+    group: 'logs',
+    description: 'readNetwork の requestId のレスポンスボディを取得（ブラウザ側に残っている間だけ）。バイナリは base64Encoded: true',
+    params: {
+      requestId: { type: 'string', description: 'readNetwork のエントリの requestId' },
+      tabId: TAB_ID
+    },
+    required: ['requestId'],
+    args: ['requestId']
+  },
+  exportHar: {
+    group: 'logs',
+    description: '記録済みのネットワークログを HAR 1.2 で書き出す。outputPath を省略すると HAR を返す',
+    params: {
+      outputPath: { type: 'string', description: '書き出す .har ファイルのパス' },
+      bodies: { type: 'boolean', description: 'レスポンスボディを含める（取れるものだけ）' },
+      ...NETWORK_FILTER_PARAMS,
+      tabId: TAB_ID
+    },
+    args: ['outputPath'],
+    usage: [['exportHar <file.har> [--bodies] [--url <s>]', 'ネットワークログを HAR ファイルに書き出す']],
+    run: (bridge, { outputPath, ...params }, options) =>
+      exportHar(bridge, { ...params, outputPath: outputPath || options.out }, options)
+  },
+  subscribe: {
+    group: 'logs',
+    description: 'イベント購読（console / network / navigation / tabs）',
+    params: {
+      events: { type: 'array', items: { type: 'string' }, description: '購読するイベント（省略で全部）' },
+      tabId: TAB_ID
+    },
+    streaming: true
+  },
+  unsubscribe: {
+    group: 'logs',
+    description: 'イベント購読の解除',
+    params: { subscriptionId: { type: 'string', description: 'subscribe の結果の subscriptionId' } },
+    required: ['subscriptionId'],
+    streaming: true
+  },
+
+  // --- リクエストのルーティング（Fetch ドメイン） ---
+  addRoute: {
+    group: 'routes',
+    description: 'URLパターン・リソース種別に合うリクエストを中断（abort）・指定したレスポンスで応答（fulfill）・ヘッダーを書き換えて続行（continue）する。解析タグや重い画像のブロック、API のモックに使う。複数のルートに合うときは後から追加したものが優先',
+    params: {
+      urlPattern: { type: 'string', description: 'URLパターン（* を含めばグロブ、含まなければ部分一致。デフォルト: 全部）' },
+      action: { type: 'string', enum: ['abort', 'fulfill', 'continue'], description: '動作（デフォルト: continue）' },
+      resourceTypes: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'リソース種別（Document / Script / Image / Media / Font / XHR / Fetch 等、省略で全部）'
+      },
+      status: { type: 'number', description: 'fulfill: ステータスコード（デフォルト: 200）' },
+      headers: {
+        type: 'object',
+        additionalProperties: { type: ['string', 'null'] },
+        description: 'fulfill: レスポンスヘッダー / continue: 追加・上書きするリクエストヘッダー（null で削除）'
+      },
+      body: { type: 'string', description: 'fulfill: レスポンスボディ' },
+      tabId: TAB_ID
+    },
+    args: ['urlPattern', 'action'],
+    usage: [['addRoute <urlPattern> [abort|fulfill|continue] [--resource-types Image,Media]', 'リクエストを中断・モック・書き換え']]
+  },
+  removeRoute: {
+    group: 'routes',
+    description: 'addRoute のルートを外す（routeId 省略でタブのルートを全部外す）',
+    params: { routeId: { type: 'string', description: 'addRoute が返した route.id' }, tabId: TAB_ID },
+    args: ['routeId']
+  },
+  listRoutes: {
+    group: 'routes',
+    description: 'タブで有効なルートと、それぞれに合ったリクエスト数（hits）を取得',
+    params: { tabId: TAB_ID }
+  },
+
+  // --- JavaScript ダイアログ ---
+  handleDialog: {
+    group: 'dialogs',
+    description: '開いている alert / confirm / prompt / beforeunload ダイアログを閉じる。ダイアログが開いている間は evaluate・クリック等が DIALOG_OPEN で失敗する',
+    params: {
+      accept: { type: 'boolean', description: 'OK で閉じるか（false でキャンセル。デフォルト: true）' },
+      promptText: { type: 'string', description: 'prompt に入力するテキスト' },
+      tabId: TAB_ID
+    },
+    // 先頭が accept / dismiss でなければ全部 promptText
+    parseArgs: (args) => {
+      const accept = ['accept', 'dismiss'].includes(args[0]) ? args.shift() === 'accept' : undefined;
+      return { accept, promptText: args.length ? args.join(' ') : undefined };
+    },
+    usage: [['handleDialog [accept|dismiss] [promptText]', '開いているダイアログを閉じる（prompt には入力）']]
+  },
+  setDialogPolicy: {
+    group: 'dialogs',
+    description: 'タブで開くダイアログの扱いを設定（accept: 自動で OK / dismiss: 自動でキャンセル / manual: 開いたままにして handleDialog で閉じる。デフォルト: manual）。開いているダイアログにも適用する',
+    params: {
+      action: { type: 'string', enum: ['accept', 'dismiss', 'manual'], description: 'ダイアログの扱い' },
+      promptText: { type: 'string', description: 'accept: prompt に入力するテキスト' },
+      tabId: TAB_ID
+    },
+    required: ['action'],
+    args: ['action', '...promptText'],
+    usage: [['setDialogPolicy <accept|dismiss|manual> [promptText]', 'ダイアログを自動で閉じる']]
+  },
+
+  // --- その他 ---
+  listBrowsers: {
+    group: 'other',
+    description: '接続中のブラウザ一覧を取得',
+    params: {}
+  },
+  debuggerAttach: {
+    group: 'other',
+    description: 'CDPデバッガーを手動アタッチ',
+    params: { tabId: TAB_ID }
+  },
+  debuggerDetach: {
+    group: 'other',
+    description: 'CDPデバッガーを手動デタッチ',
+    params: { tabId: TAB_ID }
+  }
+};
+
+const GROUPS = {
+  navigation: 'ナビゲーション',
+  cdp: 'CDP操作（メインワールド実行、CSPバイパス）',
+  content: 'Content Script操作（DOMベース、フォールバック用）',
+  read: '情報取得',
+  logs: 'コンソール・ネットワーク',
+  routes: 'リクエストのルーティング',
+  dialogs: 'JavaScript ダイアログ',
+  other: 'その他'
+};
+
+// --- MCP ---
+
+// cdpClick → chrome_cdp_click
+function toolName(command) {
+  return 'chrome_' + command.replace(/[A-Z]/g, c => '_' + c.toLowerCase());
+}
+
+function mcpTools() {
+  return Object.entries(COMMANDS)
+    .filter(([, def]) => !def.streaming)
+    .map(([name, def]) => ({
+      name: toolName(name),
+      description: def.description,
+      inputSchema: {
+        type: 'object',
+        properties: def.params,
+        ...(def.required && { required: def.required })
+      }
+    }));
+}
+
+function commandForTool(tool) {
+  return Object.keys(COMMANDS).find(name => toolName(name) === tool);
+}
+
+// 送信前の変換（CLI・MCP・run 共通）
+function toWireParams(command, params = {}) {
+  const def = COMMANDS[command];
+  return def?.toParams ? def.toParams(params) : params;
+}
+
+// コマンドを実行する（CLI・MCP・run 共通）。run を持つコマンドはクライアント側で組み立てる
+function runCommand(bridge, command, params = {}, options = {}) {
+  const def = COMMANDS[command];
+  if (def?.run) return def.run(bridge, params, options);
+  return bridge.send(command, toWireParams(command, params), options);
+}
+
+// --- CLI ---
+
+function kebabToCamel(flag) {
+  return flag.replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+}
+
+// 拡張機能のタブIDは数値、CC専用 Chrome（server-cc.js）のターゲットIDは文字列
+function parseTabId(value) {
+  if (!value) return undefined;
+  return /^\d+$/.test(value) ? parseInt(value) : value;
+}
+
+// 文字列の位置引数を params の型に合わせる
+function coerce(schema, value) {
+  if (value === undefined) return undefined;
+  const types = [].concat(schema?.type);
+  if (types.includes('number') && types.includes('string')) return parseTabId(value);
+  if (types.includes('number')) {
+    const number = parseFloat(value);
+    return Number.isNaN(number) ? undefined : number;
+  }
+  if (types.includes('boolean')) return value === true || value === 'true';
+  if (types.includes('array')) return value.split(',').map(v => v.trim()).filter(Boolean);
+  if (types.includes('object')) {
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      throw new BridgeError(ErrorCodes.INVALID_PARAMS, `Expected JSON: ${value}`);
+    }
+  }
+  return value;
+}
+
+// CLI の引数（コマンド名を除く）を params にする
+// 位置引数は args の定義順、それ以外の引数は --kebab-case で指定できる
+function parseCliArgs(command, argv) {
+  const def = COMMANDS[command];
+  const positional = [];
+  const flags = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const match = argv[i].match(/^--([a-z][a-z-]*)$/);
+    const key = match && kebabToCamel(match[1]);
+    if (key && def.params[key]) {
+      const isFlag = [].concat(def.params[key].type).includes('boolean') &&
+        !['true', 'false'].includes(argv[i + 1]);
+      flags[key] = coerce(def.params[key], isFlag ? 'true' : argv[++i]);
+    } else {
+      positional.push(argv[i]);
+    }
+  }
+
+  let params = {};
+  if (def.parseArgs) {
+    params = def.parseArgs(positional);
+  } else {
+    (def.args || []).forEach((name, i) => {
+      if (name.startsWith('...')) {
+        const key = name.slice(3);
+        if (positional.length > i) params[key] = positional.slice(i).join(' ');
+        return;
+      }
+      // '_' は省略（cdpClick _ <x> <y>）
+      if (positional[i] === undefined || positional[i] === '_') return;
+      params[name] = coerce(def.params[name], positional[i]);
+    });
+  }
+  params = { ...params, ...flags };
+
+  const missing = (def.required || []).filter(name => params[name] === undefined || params[name] === '');
+  if (missing.length) {
+    throw new BridgeError(ErrorCodes.INVALID_PARAMS, `Usage: ${usageLines(command).map(([u]) => u).join(' / ')}`);
+  }
+  return params;
+}
+
+// 使用方法の [書式, 説明] 一覧（説明は最初の文だけ）
+function usageLines(command) {
+  const def = COMMANDS[command];
+  if (def.usage) return def.usage;
+  const args = (def.args || []).map(name => {
+    const key = name.replace(/^\.\.\./, '');
+    return (def.required || []).includes(key) ? `<${key}>` : `[${key}]`;
+  });
+  return [[[command, ...args].join(' '), def.description.split('。')[0]]];
+}
+
+// printUsage 用のコマンド一覧（グループ見出しつき）
+function formatCommandUsage() {
+  const lines = [];
+  for (const [group, title] of Object.entries(GROUPS)) {
+    lines.push(`  ${title}:`);
+    for (const [name, def] of Object.entries(COMMANDS)) {
+      if (def.group !== group || def.streaming) continue;
+      for (const [usage, description] of usageLines(name)) {
+        const [first, ...rest] = description.split('\n');
+        if (usage.length < 28) {
+          lines.push(`    ${usage.padEnd(28)}${first}`);
+        } else {
+          lines.push(`    ${usage}`);
+          lines.push(`${' '.repeat(32)}${first}`);
+        }
+        for (const line of rest) lines.push(`${' '.repeat(32)}${line}`);
+      }
+    }
+    lines.push('');
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  COMMANDS,
+  toolName,
+  mcpTools,
+  commandForTool,
+  toWireParams,
+  runCommand,
+  parseCliArgs,
+  parseTabId,
+  formatCommandUsage,
+  fileUploadParams
+};
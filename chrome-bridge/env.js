@@ -0,0 +1,30 @@
+/**
+ * .env ローダー
+ *
+ * chrome-bridge/.env を読み込み、未設定の環境変数だけを process.env に反映する。
+ * 依存パッケージを増やさないため dotenv は使わず、KEY=VALUE 形式のみ対応。
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+function loadEnv(file = path.join(__dirname, '.env')) {
+  let content;
+  try {
+    content = fs.readFileSync(file, 'utf-8');
+  } catch (_) {
+    // .env が無いのは正常（環境変数だけで運用する場合）
+    return;
+  }
+
+  for (const line of content.split(/\r?\n/)) {
+    const match = line.match(/^\s*([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*)\s*$/);
+    if (!match) continue;
+    const [, key, raw] = match;
+    // 明示的に渡された環境変数を優先
+    if (process.env[key] !== undefined) continue;
+    process.env[key] = raw.replace(/^(['"])(.*)\1$/, '$2');
+  }
+}
+
+module.exports = { loadEnv };
@@ -2,8 +2,36 @@
 // CDP (Chrome DevTools Protocol) を使用してページのメインワールドでJS実行
 // Claude in Chrome と同等のブラウザ操作を実現する
 
+// chrome.* に依存しない処理（server-cc.js と共通）
+importScripts('shared.js');
+
 let offscreenCreated = false;
 
+// --- エラーコード ---
+// サーバー側 protocol.js の ErrorCodes と同じ値。レスポンスは { error, code } で返す
+const ErrorCodes = {
+  ELEMENT_NOT_FOUND: 'ELEMENT_NOT_FOUND',
+  NO_TAB: 'NO_TAB',
+  DEBUGGER_ATTACH_FAILED: 'DEBUGGER_ATTACH_FAILED',
+  TIMEOUT: 'TIMEOUT',
+  CANCELLED: 'CANCELLED',
+  UNKNOWN_COMMAND: 'UNKNOWN_COMMAND',
+  INVALID_PARAMS: 'INVALID_PARAMS',
+  EVALUATION_FAILED: 'EVALUATION_FAILED',
+  CONTENT_SCRIPT_UNAVAILABLE: 'CONTENT_SCRIPT_UNAVAILABLE',
+  NAVIGATION_FAILED: 'NAVIGATION_FAILED',
+  DIALOG_OPEN: 'DIALOG_OPEN',
+  INTERNAL_ERROR: 'INTERNAL_ERROR'
+};
+
+class BridgeError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'BridgeError';
+    this.code = code;
+  }
+}
+
 // --- CDP デバッガー管理 ---
 // タブごとにデバッガーのアタッチ状態を管理
 // CDPの Runtime.evaluate はCSPを完全にバイパスし、
@@ -11,6 +39,8 @@ let offscreenCreated = false;
 const attachedTabs = new Set();
 const consoleMessages = new Map(); // tabId -> messages[]
 const networkRequests = new Map(); // tabId -> requests[]
+// コンソール・ネットワークのエントリに振る通し番号（readConsole / readNetwork の cursor）
+let logSeq = 0;
 
 async function ensureDebuggerAttached(tabId) {
   if (attachedTabs.has(tabId)) return;
@@ -21,6 +51,10 @@ async function ensureDebuggerAttached(tabId) {
 
     // Runtime domain有効化: コンソールメッセージ・例外をキャプチャ
     await cdpSend(tabId, 'Runtime.enable');
+    // Log domain有効化: CSP 違反・読み込み失敗等のブラウザ側のメッセージ
+    await cdpSend(tabId, 'Log.enable');
+    // Page domain有効化: alert / confirm / prompt / beforeunload のダイアログを検知
+    await cdpSend(tabId, 'Page.enable');
     // Network domain有効化: リクエスト/レスポンスをキャプチャ
     await cdpSend(tabId, 'Network.enable', { maxPostDataSize: 65536 });
 
@@ -33,7 +67,7 @@ async function ensureDebuggerAttached(tabId) {
       attachedTabs.add(tabId);
       return;
     }
-    throw new Error(`Debugger attach failed: ${error.message}`);
+    throw new BridgeError(ErrorCodes.DEBUGGER_ATTACH_FAILED, `Debugger attach failed: ${error.message}`);
   }
 }
 
@@ -47,9 +81,16 @@ async function detachDebugger(tabId) {
   attachedTabs.delete(tabId);
   consoleMessages.delete(tabId);
   networkRequests.delete(tabId);
+  routes.delete(tabId);
+  dialogStates.delete(tabId);
 }
 
 function cdpSend(tabId, method, params = {}) {
+  // ダイアログが開いている間はスクリプト実行・入力が返ってこないので、待たずに失敗させる
+  const openDialog = dialogStates.get(tabId)?.dialog;
+  if (openDialog && DIALOG_BLOCKED_METHODS.test(method)) {
+    return Promise.reject(dialogOpenError(openDialog));
+  }
   return new Promise((resolve, reject) => {
     chrome.debugger.sendCommand({ tabId }, method, params, (result) => {
       if (chrome.runtime.lastError) {
@@ -65,53 +106,184 @@ function cdpSend(tabId, method, params = {}) {
 chrome.debugger.onEvent.addListener((source, method, params) => {
   const tabId = source.tabId;
 
+  if (navigationTrackers.has(tabId)) {
+    trackNavigationNetwork(tabId, method, params);
+  }
+
   if (method === 'Runtime.consoleAPICalled') {
-    const msgs = consoleMessages.get(tabId) || [];
-    msgs.push({
-      type: params.type,
-      text: params.args?.map(a => a.value ?? a.description ?? '').join(' '),
-      timestamp: params.timestamp
-    });
-    // 最新500件に制限
-    if (msgs.length > 500) msgs.splice(0, msgs.length - 500);
-    consoleMessages.set(tabId, msgs);
+    recordConsoleEntry(tabId, consoleApiEntry(params));
   }
 
   if (method === 'Runtime.exceptionThrown') {
-    const msgs = consoleMessages.get(tabId) || [];
-    msgs.push({
-      type: 'error',
-      text: params.exceptionDetails?.text + ': ' +
-            (params.exceptionDetails?.exception?.description || ''),
-      timestamp: params.timestamp
-    });
-    consoleMessages.set(tabId, msgs);
+    recordConsoleEntry(tabId, exceptionEntry(params));
   }
 
-  if (method === 'Network.responseReceived') {
-    const reqs = networkRequests.get(tabId) || [];
-    reqs.push({
-      url: params.response?.url,
-      status: params.response?.status,
-      mimeType: params.response?.mimeType,
-      requestId: params.requestId
-    });
-    if (reqs.length > 200) reqs.splice(0, reqs.length - 200);
-    networkRequests.set(tabId, reqs);
+  if (method === 'Log.entryAdded') {
+    recordConsoleEntry(tabId, browserLogEntry(params.entry));
+  }
+
+  if (method.startsWith('Network.')) {
+    recordNetworkEvent(tabId, method, params);
+  }
+
+  if (method === 'Fetch.requestPaused') {
+    handleRequestPaused(tabId, params);
+  }
+
+  if (method === 'Page.javascriptDialogOpening') {
+    handleDialogOpening(tabId, params);
+  }
+
+  if (method === 'Page.javascriptDialogClosed') {
+    recordDialogClosed(dialogState(tabId), params);
   }
 });
 
+// --- コンソール記録 ---
+// console.*・未捕捉の例外・ブラウザのログを記録する（エントリの形式は shared.js）
+function recordConsoleEntry(tabId, entry) {
+  const msgs = consoleMessages.get(tabId) || [];
+  entry.seq = ++logSeq;
+  msgs.push(entry);
+  // 最新500件に制限
+  if (msgs.length > CONSOLE_LIMIT) msgs.splice(0, msgs.length - CONSOLE_LIMIT);
+  consoleMessages.set(tabId, msgs);
+  publishEvent('console', tabId, entry);
+}
+
+// --- ネットワーク記録 ---
+// リクエスト単位で記録する（エントリの形式は shared.js）
+function recordNetworkEvent(tabId, method, params) {
+  const reqs = networkRequests.get(tabId) || [];
+  networkRequests.set(tabId, reqs);
+  const updated = updateNetworkEntries(reqs, method, params, () => ++logSeq);
+  if (updated) publishEvent('network', tabId, networkSummary(updated));
+}
+
 // タブ閉鎖時にデバッガーをクリーンアップ
 chrome.debugger.onDetach.addListener((source, reason) => {
   attachedTabs.delete(source.tabId);
   consoleMessages.delete(source.tabId);
   networkRequests.delete(source.tabId);
+  // デタッチで Fetch も無効になるのでルートも消す
+  routes.delete(source.tabId);
+  // 開いていたダイアログは追えなくなる（ポリシーと記録は残す）
+  if (dialogStates.has(source.tabId)) dialogStates.get(source.tabId).dialog = null;
 });
 
 chrome.tabs.onRemoved.addListener((tabId) => {
   detachDebugger(tabId);
 });
 
+// --- イベント購読 ---
+// subscribe コマンドで登録されたクライアントに、コンソール・ネットワーク・
+// ナビゲーション・タブのイベントをリアルタイムに送る（readConsole 等のポーリング不要）
+// subscriptionId はサーバーが振ったリクエスト id をそのまま使う
+const EVENT_TYPES = ['console', 'network', 'navigation', 'tabs'];
+const subscriptions = new Map(); // subscriptionId -> { events: Set, tabId }
+
+function publishEvent(event, tabId, data) {
+  for (const [subscriptionId, sub] of subscriptions) {
+    if (!sub.events.has(event)) continue;
+    if (sub.tabId && sub.tabId !== tabId) continue;
+    // offscreen.js 経由で購読元のクライアントへ転送される
+    chrome.runtime.sendMessage({
+      type: 'event', subscriptionId, event, tabId, data, timestamp: Date.now()
+    }).catch(() => {});
+  }
+}
+
+async function subscribe(params = {}, subscriptionId) {
+  const events = params.events?.length ? params.events : EVENT_TYPES;
+  const unknown = events.filter(e => !EVENT_TYPES.includes(e));
+  if (unknown.length) {
+    throw new BridgeError(ErrorCodes.INVALID_PARAMS, `Unknown event type: ${unknown.join(', ')}`);
+  }
+
+  // コンソール・ネットワークはデバッガー経由でしか取れないため先にアタッチする
+  let tabId = params.tabId;
+  if (events.includes('console') || events.includes('network')) {
+    const tab = await getActiveTab(tabId);
+    await ensureDebuggerAttached(tab.id);
+    tabId = tabId || tab.id;
+  }
+
+  subscriptions.set(subscriptionId, { events: new Set(events), tabId: params.tabId });
+  return { subscriptionId, events, tabId: tabId || null };
+}
+
+function unsubscribe(params = {}) {
+  const removed = subscriptions.delete(params.subscriptionId);
+  return { success: removed, subscriptionId: params.subscriptionId };
+}
+
+// ナビゲーションイベント（メインフレームのみ）
+chrome.webNavigation.onBeforeNavigate.addListener((details) => {
+  if (details.frameId !== 0) return;
+  updateNavigationTrackers(details.tabId, 'started', details);
+});
+
+chrome.webNavigation.onCommitted.addListener((details) => {
+  if (details.frameId !== 0) return;
+  updateNavigationTrackers(details.tabId, 'committed', details);
+  publishEvent('navigation', details.tabId, {
+    phase: 'committed',
+    url: details.url,
+    transitionType: details.transitionType
+  });
+});
+
+chrome.webNavigation.onDOMContentLoaded.addListener((details) => {
+  if (details.frameId !== 0) return;
+  updateNavigationTrackers(details.tabId, 'domcontentloaded', details);
+});
+
+// pushState 等による同一ドキュメント内の遷移（SPA）
+chrome.webNavigation.onHistoryStateUpdated.addListener((details) => {
+  if (details.frameId !== 0) return;
+  updateNavigationTrackers(details.tabId, 'sameDocument', details);
+});
+
+chrome.webNavigation.onCompleted.addListener((details) => {
+  if (details.frameId !== 0) return;
+  updateNavigationTrackers(details.tabId, 'completed', details);
+  publishEvent('navigation', details.tabId, { phase: 'completed', url: details.url });
+});
+
+chrome.webNavigation.onErrorOccurred.addListener((details) => {
+  if (details.frameId !== 0) return;
+  updateNavigationTrackers(details.tabId, 'error', details);
+  publishEvent('navigation', details.tabId, {
+    phase: 'error',
+    url: details.url,
+    error: details.error
+  });
+});
+
+// タブのライフサイクルイベント
+chrome.tabs.onCreated.addListener((tab) => {
+  publishEvent('tabs', tab.id, { action: 'created', url: tab.pendingUrl || tab.url });
+});
+
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+  // favicon 等の細かな変化は流さない
+  if (!changeInfo.status && !changeInfo.url && !changeInfo.title) return;
+  publishEvent('tabs', tabId, {
+    action: 'updated',
+    status: changeInfo.status,
+    url: changeInfo.url,
+    title: changeInfo.title ?? tab.title
+  });
+});
+
+chrome.tabs.onActivated.addListener(({ tabId, windowId }) => {
+  publishEvent('tabs', tabId, { action: 'activated', windowId });
+});
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+  publishEvent('tabs', tabId, { action: 'removed' });
+});
+
 // --- Offscreen Document ---
 async function setupOffscreen() {
   if (offscreenCreated) return;
@@ -138,26 +310,80 @@ setupOffscreen();
 // --- メッセージハンドラ ---
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.type === 'command') {
-    handleCommand(message.data)
-      .then(sendResponse)
-      .catch(error => sendResponse({ error: error.message }));
+    // offscreen.js は { result } / { error, code } をそのまま id 付きでサーバーへ返す
+    runCommand(message.data)
+      .then(result => sendResponse({ result }))
+      .catch(error => sendResponse({
+        error: error.message,
+        code: error.code || ErrorCodes.INTERNAL_ERROR
+      }));
     return true;
   }
 
+  if (message.type === 'cancel') {
+    cancelRequest(message.id, ErrorCodes.CANCELLED, 'Request cancelled');
+    return;
+  }
+
   if (message.type === 'getStatus') {
     sendResponse({ connected: offscreenCreated });
     return;
   }
 });
 
+// --- タイムアウト・キャンセル管理 ---
+// サーバーが指定したタイムアウトを過ぎたコマンド、またはサーバーから cancel が届いた
+// コマンドは中断する。放棄されたリクエストがタブ内で動き続けないようにするため
+const DEFAULT_COMMAND_TIMEOUT = 30000;
+const activeRequests = new Map(); // requestId -> { controller, command, tabId }
+
+async function runCommand(data) {
+  const controller = new AbortController();
+  const timeout = data.timeout || DEFAULT_COMMAND_TIMEOUT;
+  if (data.id) activeRequests.set(data.id, { controller, command: data.command, tabId: data.params?.tabId });
+
+  const timer = setTimeout(() => {
+    cancelRequest(data.id, ErrorCodes.TIMEOUT, `Command timeout (${timeout}ms)`, controller);
+  }, timeout);
+
+  const aborted = new Promise((_, reject) => {
+    controller.signal.addEventListener('abort', () => reject(controller.signal.reason));
+  });
+
+  try {
+    return await Promise.race([handleCommand(data), aborted]);
+  } finally {
+    clearTimeout(timer);
+    activeRequests.delete(data.id);
+  }
+}
+
+// 実行中のコマンドを中断する
+// Content Script の待機ループと CDP の実行中スクリプトにも中断を伝える
+function cancelRequest(requestId, code, reason, controller) {
+  const active = activeRequests.get(requestId);
+  const target = controller || active?.controller;
+  if (!target || target.signal.aborted) return;
+
+  target.abort(new BridgeError(code, reason));
+  activeRequests.delete(requestId);
+
+  getActiveTab(active?.tabId).then(tab => {
+    chrome.tabs.sendMessage(tab.id, { action: 'cancel', params: { requestId } }).catch(() => {});
+    if (active?.command === 'evaluate' && attachedTabs.has(tab.id)) {
+      cdpSend(tab.id, 'Runtime.terminateExecution').catch(() => {});
+    }
+  }).catch(() => {});
+}
+
 // --- コマンドルーター ---
 async function handleCommand(data) {
-  const { command, params } = data;
+  const { command, params, id } = data;
 
   switch (command) {
     // ナビゲーション
     case 'navigate':
-      return await navigateTo(params.url, params.tabId);
+      return await navigateTo(params);
     case 'newTab':
       return await createTab(params.url);
     case 'closeTab':
@@ -167,11 +393,11 @@ async function handleCommand(data) {
     case 'switchTab':
       return await switchToTab(params.tabId);
     case 'goBack':
-      return await goBack();
+      return await goBack(params);
     case 'goForward':
-      return await goForward();
+      return await goForward(params);
     case 'reload':
-      return await reloadPage();
+      return await reloadPage(params);
 
     // CDP経由のページ操作（メインワールド実行）
     case 'evaluate':
@@ -182,36 +408,54 @@ async function handleCommand(data) {
       return await cdpType(params);
     case 'cdpScroll':
       return await cdpScroll(params);
+    case 'snapshot':
+      return await snapshot(params);
 
     // CDP経由の情報取得
     case 'readConsole':
       return await readConsole(params);
     case 'readNetwork':
       return await readNetwork(params);
+    case 'getResponseBody':
+      return await getResponseBody(params);
+    case 'addRoute':
+      return await addRoute(params);
+    case 'removeRoute':
+      return await removeRoute(params);
+    case 'listRoutes':
+      return await listRoutes(params);
+    case 'handleDialog':
+      return await handleDialog(params);
+    case 'setDialogPolicy':
+      return await setDialogPolicy(params);
 
     // Content Script経由のページ操作（DOM操作のフォールバック）
     case 'click':
-      return await executeInPage('click', params);
+      return await executeInPage('click', params, id);
     case 'type':
-      return await executeInPage('type', params);
+      return await executeInPage('type', params, id);
     case 'scroll':
-      return await executeInPage('scroll', params);
+      return await executeInPage('scroll', params, id);
     case 'getElement':
-      return await executeInPage('getElement', params);
+      // snapshot の ref は CDP でしか引けない
+      if (parseRef(params.selector)) return await cdpGetElement(params);
+      return await executeInPage('getElement', params, id);
     case 'getElements':
-      return await executeInPage('getElements', params);
+      return await executeInPage('getElements', params, id);
     case 'getText':
-      return await executeInPage('getText', params);
+      return await executeInPage('getText', params, id);
     case 'getHtml':
-      return await executeInPage('getHtml', params);
+      return await executeInPage('getHtml', params, id);
+    case 'extractContent':
+      return await executeInPage('extractContent', params, id);
     case 'getAttribute':
-      return await executeInPage('getAttribute', params);
+      return await executeInPage('getAttribute', params, id);
     case 'waitForElement':
-      return await executeInPage('waitForElement', params);
+      return await executeInPage('waitForElement', params, id);
     case 'uploadFile':
-      return await executeInPage('uploadFile', params);
+      return await executeInPage('uploadFile', params, id);
     case 'setHtml':
-      return await executeInPage('setHtml', params);
+      return await executeInPage('setHtml', params, id);
 
     // CDP経由のファイルアップロード
     case 'cdpUploadFile':
@@ -219,6 +463,10 @@ async function handleCommand(data) {
 
     // スクリーンショット
     case 'screenshot':
+      // 全体・要素・スケール・縮小指定は captureVisibleTab ではできないので CDP で撮る
+      if (params.fullPage || params.selector || params.scale || params.maxWidth || params.maxHeight) {
+        return await cdpCaptureScreenshot(params);
+      }
       return await captureScreenshot(params);
     case 'cdpScreenshot':
       return await cdpCaptureScreenshot(params);
@@ -227,14 +475,20 @@ async function handleCommand(data) {
     case 'getPageInfo':
       return await getPageInfo(params.tabId);
 
+    // イベント購読
+    case 'subscribe':
+      return await subscribe(params, id);
+    case 'unsubscribe':
+      return unsubscribe(params);
+
     // デバッガー制御
     case 'debuggerAttach':
-      return await debuggerAttach();
+      return await debuggerAttach(params);
     case 'debuggerDetach':
-      return await debuggerDetachCommand();
+      return await debuggerDetachCommand(params);
 
     default:
-      throw new Error(`Unknown command: ${command}`);
+      throw new BridgeError(ErrorCodes.UNKNOWN_COMMAND, `Unknown command: ${command}`);
   }
 }
 
@@ -265,10 +519,11 @@ async function cdpEvaluate(params) {
     });
 
     if (result.exceptionDetails) {
-      return {
-        error: result.exceptionDetails.exception?.description ||
-               result.exceptionDetails.text || 'Evaluation error'
-      };
+      throw new BridgeError(
+        ErrorCodes.EVALUATION_FAILED,
+        result.exceptionDetails.exception?.description ||
+          result.exceptionDetails.text || 'Evaluation error'
+      );
     }
 
     return { result: result.result?.value ?? null };
@@ -283,6 +538,64 @@ async function cdpEvaluate(params) {
   }
 }
 
+// --- 要素の指定 ---
+// selector は CSS / XPath のほか、snapshot が返す ref=e123 も受け付ける（parseRef は shared.js）
+
+// 要素を引数に fn（関数のソース）をページ内で実行し、結果を返す
+// 要素がない（fn が null / false を返す）ときは ELEMENT_NOT_FOUND
+async function callOnElement(tabId, selector, fn) {
+  const backendNodeId = parseRef(selector);
+  let response;
+  if (backendNodeId) {
+    let objectId;
+    try {
+      ({ object: { objectId } } = await cdpSend(tabId, 'DOM.resolveNode', { backendNodeId }));
+    } catch {
+      throw new BridgeError(ErrorCodes.ELEMENT_NOT_FOUND, `Element not found: ${selector} (take a new snapshot)`);
+    }
+    response = await cdpSend(tabId, 'Runtime.callFunctionOn', {
+      objectId,
+      functionDeclaration: `function() { return (${fn})(this); }`,
+      returnByValue: true
+    });
+  } else {
+    response = await cdpSend(tabId, 'Runtime.evaluate', {
+      expression: `(${fn})(document.querySelector(${JSON.stringify(selector)}) ||
+        document.evaluate(${JSON.stringify(selector)}, document, null, XPathResult.FIRST_ORDERED_NODE_TYPE, null).singleNodeValue)`,
+      returnByValue: true
+    });
+  }
+
+  const value = response.result?.value;
+  if (value === null || value === undefined || value === false) {
+    throw new BridgeError(ErrorCodes.ELEMENT_NOT_FOUND, `Element not found: ${selector}`);
+  }
+  return value;
+}
+
+// ref 指定時の getElement（要素情報の形は shared.js）
+async function cdpGetElement(params) {
+  const tab = await getActiveTab(params.tabId);
+  await ensureDebuggerAttached(tab.id);
+  try {
+    return await callOnElement(tab.id, params.selector, ELEMENT_INFO_FUNCTION);
+  } catch (error) {
+    if (error.code === ErrorCodes.ELEMENT_NOT_FOUND) return { found: false };
+    throw error;
+  }
+}
+
+// --- アクセシビリティスナップショット ---
+// 整形（formatAXTree）は shared.js
+
+async function snapshot(params = {}) {
+  const tab = await getActiveTab(params.tabId);
+  await ensureDebuggerAttached(tab.id);
+  const { nodes } = await cdpSend(tab.id, 'Accessibility.getFullAXTree');
+  const { text, refs } = formatAXTree(nodes, params);
+  return { url: tab.url, title: tab.title, snapshot: text, refs };
+}
+
 // CDP Input.dispatchMouseEvent によるネイティブクリック
 // JS dispatchEventと異なり、OS級のイベントとしてページに認識される
 async function cdpClick(params) {
@@ -294,26 +607,12 @@ async function cdpClick(params) {
 
   // セレクタ指定の場合、要素の座標を取得
   if (selector && (clickX === undefined || clickY === undefined)) {
-    const coords = await cdpSend(tab.id, 'Runtime.evaluate', {
-      expression: `(function() {
-        const el = document.querySelector(${JSON.stringify(selector)}) ||
-                   (function() {
-                     const r = document.evaluate(${JSON.stringify(selector)}, document, null, XPathResult.FIRST_ORDERED_NODE_TYPE, null);
-                     return r.singleNodeValue;
-                   })();
-        if (!el) return null;
-        el.scrollIntoView({ block: 'center', behavior: 'instant' });
-        const rect = el.getBoundingClientRect();
-        return { x: rect.x + rect.width / 2, y: rect.y + rect.height / 2 };
-      })()`,
-      returnByValue: true
-    });
-
-    if (!coords.result?.value) {
-      throw new Error(`Element not found: ${selector}`);
-    }
-    clickX = coords.result.value.x;
-    clickY = coords.result.value.y;
+    ({ x: clickX, y: clickY } = await callOnElement(tab.id, selector, `function(el) {
+      if (!el) return null;
+      el.scrollIntoView({ block: 'center', behavior: 'instant' });
+      const rect = el.getBoundingClientRect();
+      return { x: rect.x + rect.width / 2, y: rect.y + rect.height / 2 };
+    }`));
   }
 
   // マウス移動 → プレス → リリース の3段階（ブラウザの実挙動を再現）
@@ -341,28 +640,19 @@ async function cdpType(params) {
 
   // セレクタ指定時は要素にフォーカス
   if (selector) {
-    await cdpSend(tab.id, 'Runtime.evaluate', {
-      expression: `(function() {
-        const el = document.querySelector(${JSON.stringify(selector)}) ||
-                   (function() {
-                     const r = document.evaluate(${JSON.stringify(selector)}, document, null, XPathResult.FIRST_ORDERED_NODE_TYPE, null);
-                     return r.singleNodeValue;
-                   })();
-        if (!el) throw new Error('Element not found: ${selector}');
-        el.scrollIntoView({ block: 'center', behavior: 'instant' });
-        el.focus();
-        if (${clear} && 'value' in el) {
-          el.value = '';
-          el.dispatchEvent(new Event('input', { bubbles: true }));
-        } else if (${clear} && el.isContentEditable) {
-          el.innerHTML = '';
-          el.dispatchEvent(new Event('input', { bubbles: true }));
-        }
-        return true;
-      })()`,
-      returnByValue: true,
-      awaitPromise: false
-    });
+    await callOnElement(tab.id, selector, `function(el) {
+      if (!el) return false;
+      el.scrollIntoView({ block: 'center', behavior: 'instant' });
+      el.focus();
+      if (${clear} && 'value' in el) {
+        el.value = '';
+        el.dispatchEvent(new Event('input', { bubbles: true }));
+      } else if (${clear} && el.isContentEditable) {
+        el.innerHTML = '';
+        el.dispatchEvent(new Event('input', { bubbles: true }));
+      }
+      return true;
+    }`);
   }
 
   // テキストを1文字ずつ or 一括で入力
@@ -391,7 +681,7 @@ async function cdpScroll(params) {
 
   if (selector) {
     // 要素までスクロール
-    await cdpSend(tab.id, 'Runtime.evaluate', {
+    const scrolled = await cdpSend(tab.id, 'Runtime.evaluate', {
       expression: `(function() {
         const el = document.querySelector(${JSON.stringify(selector)});
         if (el) el.scrollIntoView({ behavior: 'smooth', block: 'center' });
@@ -399,6 +689,9 @@ async function cdpScroll(params) {
       })()`,
       returnByValue: true
     });
+    if (!scrolled.result?.value) {
+      throw new BridgeError(ErrorCodes.ELEMENT_NOT_FOUND, `Element not found: ${selector}`);
+    }
     return { success: true, scrolledTo: selector };
   }
 
@@ -413,17 +706,74 @@ async function cdpScroll(params) {
   return { success: true, scrolled: { deltaX, deltaY } };
 }
 
-// CDP Page.captureScreenshot（デバッガー経由、より高品質）
+// CDP Page.captureScreenshot（デバッガー経由、より高品質。fullPage / selector / scale / maxWidth / maxHeight に対応）
 async function cdpCaptureScreenshot(params = {}) {
+  const { format = 'png', quality, fullPage = false, selector, scale, maxWidth, maxHeight } = params;
   const tab = await getActiveTab(params.tabId);
   await ensureDebuggerAttached(tab.id);
 
-  const result = await cdpSend(tab.id, 'Page.captureScreenshot', {
-    format: params.format || 'png',
-    quality: params.quality || 100
+  // 要素指定・全体指定のときはビューポート外も含めて矩形で切り抜く
+  // 縮小指定のときは現在のビューポートを矩形として扱う（clip.scale で縮小するため）
+  let clip;
+  let beyondViewport = true;
+  if (selector) {
+    clip = await elementClip(tab.id, selector);
+  } else if (fullPage || maxWidth || maxHeight) {
+    const metrics = await cdpSend(tab.id, 'Page.getLayoutMetrics');
+    if (fullPage) {
+      const { width, height } = metrics.cssContentSize || metrics.contentSize;
+      clip = { x: 0, y: 0, width, height };
+    } else {
+      const viewport = metrics.cssVisualViewport || metrics.visualViewport;
+      clip = { x: viewport.pageX, y: viewport.pageY, width: viewport.clientWidth, height: viewport.clientHeight };
+      beyondViewport = false;
+    }
+  }
+
+  // scale: デバイススケール（2 で Retina 相当の解像度）。撮影後に元へ戻す
+  if (scale) {
+    await cdpSend(tab.id, 'Emulation.setDeviceMetricsOverride', {
+      width: 0, height: 0, deviceScaleFactor: scale, mobile: false
+    });
+  }
+  try {
+    // 出力画像のピクセル数 = clip × clip.scale × デバイススケール
+    let size;
+    if (clip) {
+      const dpr = scale || (await cdpSend(tab.id, 'Runtime.evaluate', {
+        expression: 'window.devicePixelRatio', returnByValue: true
+      })).result?.value || 1;
+      clip.scale = screenshotDownscale(clip, dpr, maxWidth, maxHeight);
+      size = {
+        width: Math.round(clip.width * clip.scale * dpr),
+        height: Math.round(clip.height * clip.scale * dpr)
+      };
+    }
+
+    const result = await cdpSend(tab.id, 'Page.captureScreenshot', {
+      format,
+      quality: format === 'png' ? undefined : (quality || 100),
+      ...(clip && { clip, captureBeyondViewport: beyondViewport })
+    });
+    return { dataUrl: `data:image/${format};base64,${result.data}`, ...size };
+  } finally {
+    if (scale) await cdpSend(tab.id, 'Emulation.clearDeviceMetricsOverride').catch(() => {});
+  }
+}
+
+// 要素のページ座標での矩形（Page.captureScreenshot の clip 用）
+async function elementClip(tabId, selector) {
+  const rect = await cdpSend(tabId, 'Runtime.evaluate', {
+    expression: elementClipExpression(selector),
+    returnByValue: true
   });
 
-  return { dataUrl: `data:image/${params.format || 'png'};base64,${result.data}` };
+  const clip = rect.result?.value;
+  if (!clip) throw new BridgeError(ErrorCodes.ELEMENT_NOT_FOUND, `Element not found: ${selector}`);
+  if (!clip.width || !clip.height) {
+    throw new BridgeError(ErrorCodes.ELEMENT_NOT_FOUND, `Element has no visible area: ${selector}`);
+  }
+  return clip;
 }
 
 // CDP DOM.setFileInputFiles（ファイルアップロード）
@@ -439,7 +789,7 @@ async function cdpUploadFile(params) {
     selector: selector || 'input[type="file"]'
   });
 
-  if (!node.nodeId) throw new Error(`File input not found: ${selector}`);
+  if (!node.nodeId) throw new BridgeError(ErrorCodes.ELEMENT_NOT_FOUND, `File input not found: ${selector}`);
 
   await cdpSend(tab.id, 'DOM.setFileInputFiles', {
     nodeId: node.nodeId,
@@ -453,36 +803,169 @@ async function cdpUploadFile(params) {
 async function readConsole(params = {}) {
   const tab = await getActiveTab(params.tabId);
   const msgs = consoleMessages.get(tab.id) || [];
-  const { clear = false, limit = 100 } = params;
+  const { clear = false } = params;
 
-  const result = msgs.slice(-limit);
+  const { entries, ...page } = pageEntries(msgs.filter(consoleFilter(params)), params, 100);
   if (clear) consoleMessages.set(tab.id, []);
 
-  return { messages: result, count: result.length };
+  return { messages: entries, count: entries.length, ...page };
 }
 
 // ネットワークリクエスト取得
 async function readNetwork(params = {}) {
   const tab = await getActiveTab(params.tabId);
   const reqs = networkRequests.get(tab.id) || [];
-  const { clear = false, limit = 50 } = params;
+  const { clear = false, details = false } = params;
 
-  const result = reqs.slice(-limit);
+  // ヘッダー・タイミング等は details 指定時だけ返す
+  const matched = reqs.filter(entry => matchesNetworkFilter(entry, params))
+    .map(entry => (details ? entry : networkSummary(entry)));
+  const { entries, ...page } = pageEntries(matched, params, 50);
   if (clear) networkRequests.set(tab.id, []);
 
-  return { requests: result, count: result.length };
+  return { requests: entries, count: entries.length, ...page };
+}
+
+// --- リクエストのルーティング（Fetch ドメイン） ---
+// ルートの作成・照合は shared.js。ここではタブごとに持ち、Fetch の有効化と応答をする
+const routes = new Map(); // tabId -> routes[]
+let routeSeq = 0;
+
+async function addRoute(params) {
+  const fields = createRoute(params);
+  const tab = await getActiveTab(params.tabId);
+  await ensureDebuggerAttached(tab.id);
+
+  const route = { id: `route${++routeSeq}`, ...fields };
+  routes.set(tab.id, [...(routes.get(tab.id) || []), route]);
+  await applyRoutes(tab.id);
+  return { success: true, tabId: tab.id, route };
+}
+
+// routeId を省略するとタブのルートを全部外す
+async function removeRoute(params = {}) {
+  const tab = await getActiveTab(params.tabId);
+  const tabRoutes = routes.get(tab.id) || [];
+  const remaining = params.routeId ? tabRoutes.filter(route => route.id !== params.routeId) : [];
+  if (params.routeId && remaining.length === tabRoutes.length) {
+    throw new BridgeError(ErrorCodes.INVALID_PARAMS, `Route not found: ${params.routeId}`);
+  }
+
+  routes.set(tab.id, remaining);
+  if (attachedTabs.has(tab.id)) await applyRoutes(tab.id);
+  return { success: true, tabId: tab.id, removed: tabRoutes.length - remaining.length };
+}
+
+async function listRoutes(params = {}) {
+  const tab = await getActiveTab(params.tabId);
+  return { tabId: tab.id, routes: routes.get(tab.id) || [] };
+}
+
+// ルートのパターンだけ Fetch で止める（ルートがなくなれば無効化）
+async function applyRoutes(tabId) {
+  const tabRoutes = routes.get(tabId) || [];
+  if (!tabRoutes.length) {
+    routes.delete(tabId);
+    await cdpSend(tabId, 'Fetch.disable');
+    return;
+  }
+  await cdpSend(tabId, 'Fetch.enable', { patterns: fetchPatterns(tabRoutes) });
+}
+
+async function handleRequestPaused(tabId, params) {
+  try {
+    await cdpSend(tabId, ...routeRequest(routes.get(tabId) || [], params));
+  } catch (error) {
+    // 遷移・タブを閉じた等でリクエストが既になければ何もしない
+    console.warn('[Bridge] Fetch.requestPaused:', error.message);
+  }
+}
+
+// --- JavaScript ダイアログ（alert / confirm / prompt / beforeunload） ---
+// 記録とポリシーは shared.js。デバッガーがアタッチされたタブだけが対象
+const dialogStates = new Map(); // tabId -> { dialog, policy, dialogs }
+
+function dialogState(tabId) {
+  if (!dialogStates.has(tabId)) dialogStates.set(tabId, createDialogState());
+  return dialogStates.get(tabId);
+}
+
+async function handleDialogOpening(tabId, params) {
+  const state = dialogState(tabId);
+  const dialog = recordDialogOpening(state, params);
+
+  const response = dialogPolicyResponse(state.policy);
+  if (response) {
+    await closeDialog(tabId, response, 'policy').catch(error => {
+      console.warn('[Bridge] Page.handleJavaScriptDialog:', error.message);
+    });
+    return;
+  }
+
+  // このタブで待っているコマンドに理由を返す（handleDialog 等は止めない）
+  const activeTab = await getActiveTab().catch(() => null);
+  for (const [requestId, active] of activeRequests) {
+    if (active.command === 'handleDialog' || active.command === 'setDialogPolicy') continue;
+    if ((active.tabId ?? activeTab?.id) === tabId) {
+      cancelRequest(requestId, ErrorCodes.DIALOG_OPEN, dialogOpenError(dialog).message);
+    }
+  }
+}
+
+async function closeDialog(tabId, response, handledBy) {
+  const state = dialogState(tabId);
+  const dialog = state.dialog;
+  await cdpSend(tabId, 'Page.handleJavaScriptDialog', response);
+  return recordDialogHandled(state, dialog, response, handledBy);
+}
+
+// 開いているダイアログを閉じる。accept のデフォルトは true、prompt には promptText を入力
+async function handleDialog(params = {}) {
+  const { accept = true, promptText } = params;
+  const tab = await getActiveTab(params.tabId);
+  await ensureDebuggerAttached(tab.id);
+  try {
+    const dialog = await closeDialog(tab.id, { accept, promptText }, 'handleDialog');
+    return { success: true, tabId: tab.id, dialog };
+  } catch (error) {
+    throw new BridgeError(ErrorCodes.INVALID_PARAMS, `No dialog is open in tab ${tab.id}: ${error.message}`);
+  }
+}
+
+// 以降にタブで開くダイアログの扱い。開いているダイアログがあればそれにも適用する
+async function setDialogPolicy(params = {}) {
+  const policy = createDialogPolicy(params);
+  const tab = await getActiveTab(params.tabId);
+  await ensureDebuggerAttached(tab.id);
+
+  const state = dialogState(tab.id);
+  state.policy = policy;
+  const response = dialogPolicyResponse(policy);
+  if (response && state.dialog) await closeDialog(tab.id, response, 'policy');
+  return { success: true, tabId: tab.id, policy };
+}
+
+// レスポンスボディ（ブラウザ側に残っている間だけ取れる）
+async function getResponseBody(params) {
+  const tab = await getActiveTab(params.tabId);
+  await ensureDebuggerAttached(tab.id);
+  try {
+    return await cdpSend(tab.id, 'Network.getResponseBody', { requestId: params.requestId });
+  } catch (error) {
+    throw new BridgeError(ErrorCodes.INVALID_PARAMS, `No response body for ${params.requestId}: ${error.message}`);
+  }
 }
 
 // デバッガー手動アタッチ
-async function debuggerAttach() {
-  const tab = await getActiveTab();
+async function debuggerAttach(params) {
+  const tab = await getActiveTab(params.tabId);
   await ensureDebuggerAttached(tab.id);
   return { success: true, tabId: tab.id };
 }
 
 // デバッガー手動デタッチ
-async function debuggerDetachCommand() {
-  const tab = await getActiveTab();
+async function debuggerDetachCommand(params) {
+  const tab = await getActiveTab(params.tabId);
   await detachDebugger(tab.id);
   return { success: true, tabId: tab.id };
 }
@@ -492,19 +975,18 @@ async function debuggerDetachCommand() {
 // これにより特定のタブを操作対象にできる（他のウィンドウで作業中でも邪魔しない）
 async function getActiveTab(tabId) {
   if (tabId) {
-    const tab = await chrome.tabs.get(tabId);
-    if (!tab) throw new Error(`Tab not found: ${tabId}`);
+    // 存在しない tabId では chrome.tabs.get 自体が reject する
+    const tab = await chrome.tabs.get(tabId).catch(() => null);
+    if (!tab) throw new BridgeError(ErrorCodes.NO_TAB, `Tab not found: ${tabId}`);
     return tab;
   }
   const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-  if (!tab) throw new Error('No active tab found');
+  if (!tab) throw new BridgeError(ErrorCodes.NO_TAB, 'No active tab found');
   return tab;
 }
 
-async function navigateTo(url, tabId) {
-  const tab = await getActiveTab(tabId);
-  await chrome.tabs.update(tab.id, { url });
-  return { success: true, tabId: tab.id };
+async function navigateTo(params) {
+  return runNavigation(params, tab => chrome.tabs.update(tab.id, { url: params.url }));
 }
 
 async function createTab(url) {
@@ -540,28 +1022,185 @@ async function switchToTab(tabId) {
   return { success: true };
 }
 
-async function goBack() {
-  const tab = await getActiveTab();
-  await chrome.tabs.goBack(tab.id);
-  return { success: true };
+async function goBack(params = {}) {
+  return runNavigation(params, tab => chrome.tabs.goBack(tab.id));
 }
 
-async function goForward() {
-  const tab = await getActiveTab();
-  await chrome.tabs.goForward(tab.id);
-  return { success: true };
+async function goForward(params = {}) {
+  return runNavigation(params, tab => chrome.tabs.goForward(tab.id));
 }
 
-async function reloadPage() {
-  const tab = await getActiveTab();
-  await chrome.tabs.reload(tab.id);
-  return { success: true };
+async function reloadPage(params = {}) {
+  return runNavigation(params, tab => chrome.tabs.reload(tab.id));
+}
+
+// --- ナビゲーション待機 ---
+// navigate / reload / goBack / goForward の waitUntil オプション
+//   load / domcontentloaded: webNavigation の onCompleted / onDOMContentLoaded（メインフレーム）
+//   networkidle: load 後、進行中のリクエストが NETWORK_IDLE_MS の間ない状態
+//   それ以外: URLパターン（例: *://itch.io/dashboard*）。一致するURLにコミットされたら完了
+// 最終URL・HTTPステータス・リダイレクトチェーンは CDP の Network イベントから取る
+const navigationTrackers = new Map(); // tabId -> Set<tracker>
+
+async function runNavigation(params, action) {
+  const tab = await getActiveTab(params.tabId);
+
+  // waitUntil なしは従来どおり開始だけして返す
+  if (!params.waitUntil) {
+    await action(tab);
+    return { success: true, tabId: tab.id };
+  }
+
+  const tracker = await startNavigationTracker(tab.id, params);
+  try {
+    await action(tab);
+    const result = await tracker.done;
+    return { success: true, tabId: tab.id, ...result };
+  } finally {
+    tracker.stop();
+  }
+}
+
+async function startNavigationTracker(tabId, { waitUntil, timeout = 30000 }) {
+  // ステータスとリダイレクトを取るため Network ドメインを有効化しておく
+  await ensureDebuggerAttached(tabId);
+  const { frameTree } = await cdpSend(tabId, 'Page.getFrameTree');
+
+  const tracker = {
+    waitUntil,
+    urlPattern: NAVIGATION_WAIT_STATES.includes(waitUntil) ? null : waitUntil,
+    mainFrameId: frameTree.frame.id,
+    startedUrl: null,
+    committed: false,
+    loaded: false,
+    url: null,
+    status: null,
+    redirects: [],
+    inflight: new Set(),
+    idleTimer: null
+  };
+  tracker.done = new Promise((resolve, reject) => {
+    tracker.resolve = resolve;
+    tracker.reject = reject;
+  });
+  tracker.done.catch(() => {}); // 結果は runNavigation が await する
+  tracker.timer = setTimeout(() => {
+    tracker.reject(new BridgeError(ErrorCodes.TIMEOUT, `Navigation did not reach "${waitUntil}" within ${timeout}ms`));
+  }, timeout);
+  tracker.stop = () => {
+    clearTimeout(tracker.timer);
+    clearTimeout(tracker.idleTimer);
+    navigationTrackers.get(tabId)?.delete(tracker);
+    if (navigationTrackers.get(tabId)?.size === 0) navigationTrackers.delete(tabId);
+  };
+
+  if (!navigationTrackers.has(tabId)) navigationTrackers.set(tabId, new Set());
+  navigationTrackers.get(tabId).add(tracker);
+  return tracker;
+}
+
+function finishNavigation(tracker) {
+  tracker.resolve({
+    url: tracker.url,
+    status: tracker.status,
+    redirects: tracker.redirects,
+    waitUntil: tracker.waitUntil
+  });
+}
+
+function scheduleNetworkIdle(tracker) {
+  clearTimeout(tracker.idleTimer);
+  if (tracker.inflight.size === 0) {
+    tracker.idleTimer = setTimeout(() => finishNavigation(tracker), NETWORK_IDLE_MS);
+  }
+}
+
+// webNavigation（メインフレーム）の進行を待機中のトラッカーに反映
+function updateNavigationTrackers(tabId, phase, details) {
+  for (const tracker of navigationTrackers.get(tabId) || []) {
+    if (phase === 'started') {
+      tracker.startedUrl = details.url;
+      continue;
+    }
+    if (phase === 'error') {
+      // 開始前から進行中だった別のナビゲーションのエラー（新しい遷移に中断された ERR_ABORTED 等）は数えない
+      const own = tracker.committed || (tracker.startedUrl !== null &&
+        (details.error !== 'net::ERR_ABORTED' || details.url === tracker.startedUrl));
+      if (own) {
+        tracker.reject(new BridgeError(ErrorCodes.NAVIGATION_FAILED, `Navigation failed: ${details.error} (${details.url})`));
+      }
+      continue;
+    }
+    if (phase === 'committed' || phase === 'sameDocument') {
+      tracker.committed = true;
+      tracker.url = details.url;
+    }
+    // 開始前から進行中だった別のナビゲーションの完了は数えない
+    if (!tracker.committed) continue;
+
+    if (tracker.urlPattern) {
+      if (matchesUrlPattern(details.url, tracker.urlPattern)) finishNavigation(tracker);
+      continue;
+    }
+
+    // 同一ドキュメント内の遷移は読み込みが発生しないのでその時点で完了
+    const loaded = phase === 'completed' || phase === 'sameDocument';
+    if (phase === 'domcontentloaded' && tracker.waitUntil === 'domcontentloaded') {
+      finishNavigation(tracker);
+    } else if (loaded && tracker.waitUntil === 'networkidle') {
+      tracker.loaded = true;
+      scheduleNetworkIdle(tracker);
+    } else if (loaded) {
+      tracker.url = details.url;
+      finishNavigation(tracker);
+    }
+  }
+}
+
+// CDP Network イベントからステータス・リダイレクト・進行中リクエストを追跡
+function trackNavigationNetwork(tabId, method, params) {
+  for (const tracker of navigationTrackers.get(tabId)) {
+    const isMainDocument = params.type === 'Document' && params.frameId === tracker.mainFrameId;
+
+    if (method === 'Network.requestWillBeSent') {
+      tracker.inflight.add(params.requestId);
+      if (isMainDocument && params.redirectResponse) {
+        tracker.redirects.push({
+          url: params.redirectResponse.url,
+          status: params.redirectResponse.status
+        });
+      }
+    }
+    if (method === 'Network.responseReceived' && isMainDocument) {
+      tracker.status = params.response?.status;
+    }
+    if (method === 'Network.loadingFinished' || method === 'Network.loadingFailed') {
+      tracker.inflight.delete(params.requestId);
+      if (tracker.loaded && tracker.waitUntil === 'networkidle') scheduleNetworkIdle(tracker);
+    }
+  }
 }
 
 // Content Script でコマンド実行（DOMベースの操作用フォールバック）
-async function executeInPage(action, params) {
+// requestId はキャンセル時に Content Script 側の待機を止めるために渡す
+async function executeInPage(action, params, requestId) {
   const tab = await getActiveTab(params?.tabId);
-  const results = await chrome.tabs.sendMessage(tab.id, { action, params });
+  // ダイアログが開いている間は Content Script も応答しない
+  const openDialog = dialogStates.get(tab.id)?.dialog;
+  if (openDialog) throw dialogOpenError(openDialog);
+  let results;
+  try {
+    results = await chrome.tabs.sendMessage(tab.id, { action, params, requestId });
+  } catch (error) {
+    // chrome:// ページや読み込み前のタブには Content Script がいない
+    throw new BridgeError(
+      ErrorCodes.CONTENT_SCRIPT_UNAVAILABLE,
+      `Content script unavailable in tab ${tab.id}: ${error.message}`
+    );
+  }
+  if (results?.error) {
+    throw new BridgeError(results.code || ErrorCodes.INTERNAL_ERROR, results.error);
+  }
   return results;
 }
 
@@ -582,6 +1221,7 @@ async function getPageInfo(tabId) {
     tabId: tab.id,
     url: tab.url,
     title: tab.title,
-    windowId: tab.windowId
+    windowId: tab.windowId,
+    ...dialogInfo(dialogStates.get(tab.id))
   };
 }
@@ -1,14 +1,35 @@
 // Claude Code Bridge - Content Script
 // ページ内の DOM 操作を行う
 
+// background.js の ErrorCodes と同じ値（エラーは { error, code } で返す）
+const ERROR_ELEMENT_NOT_FOUND = 'ELEMENT_NOT_FOUND';
+const ERROR_UNKNOWN_COMMAND = 'UNKNOWN_COMMAND';
+
+function bridgeError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// 待機中の waitForElement（requestId -> { cancelled }）。background.js からの cancel で打ち切る
+// 待機していないリクエストの cancel は記録しない（待機が終われば消す）
+const waitingRequests = new Map();
+
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  handleAction(message.action, message.params)
+  if (message.action === 'cancel') {
+    const waiting = waitingRequests.get(message.params?.requestId);
+    if (waiting) waiting.cancelled = true;
+    sendResponse({ success: true });
+    return;
+  }
+
+  handleAction(message.action, message.params, message.requestId)
     .then(sendResponse)
-    .catch(error => sendResponse({ error: error.message }));
+    .catch(error => sendResponse({ error: error.message, code: error.code }));
   return true; // 非同期レスポンスを有効化
 });
 
-async function handleAction(action, params) {
+async function handleAction(action, params, requestId) {
   switch (action) {
     case 'click':
       return clickElement(params);
@@ -31,11 +52,14 @@ async function handleAction(action, params) {
     case 'getHtml':
       return getHtml(params);
 
+    case 'extractContent':
+      return extractContent(params);
+
     case 'getAttribute':
       return getAttribute(params);
 
     case 'waitForElement':
-      return waitForElement(params);
+      return waitForElement(params, requestId);
 
     case 'evaluate':
       return evaluateScript(params);
@@ -47,7 +71,7 @@ async function handleAction(action, params) {
       return setHtml(params);
 
     default:
-      throw new Error(`Unknown action: ${action}`);
+      throw bridgeError(ERROR_UNKNOWN_COMMAND, `Unknown action: ${action}`);
   }
 }
 
@@ -97,11 +121,11 @@ function clickElement(params) {
       element.click();
       return { success: true, clicked: 'coordinate' };
     }
-    throw new Error(`No element at (${x}, ${y})`);
+    throw bridgeError(ERROR_ELEMENT_NOT_FOUND, `No element at (${x}, ${y})`);
   }
 
   const element = findElement(selector);
-  if (!element) throw new Error(`Element not found: ${selector}`);
+  if (!element) throw bridgeError(ERROR_ELEMENT_NOT_FOUND, `Element not found: ${selector}`);
 
   element.scrollIntoView({ behavior: 'smooth', block: 'center' });
   element.click();
@@ -114,7 +138,7 @@ function typeText(params) {
   const { selector, text, clear = true, pressEnter = false, append = false } = params;
 
   const element = findElement(selector);
-  if (!element) throw new Error(`Element not found: ${selector}`);
+  if (!element) throw bridgeError(ERROR_ELEMENT_NOT_FOUND, `Element not found: ${selector}`);
 
   element.focus();
 
@@ -177,7 +201,7 @@ function scrollPage(params) {
 
   if (selector) {
     const element = findElement(selector);
-    if (!element) throw new Error(`Element not found: ${selector}`);
+    if (!element) throw bridgeError(ERROR_ELEMENT_NOT_FOUND, `Element not found: ${selector}`);
     element.scrollIntoView({ behavior, block: 'center' });
     return { success: true, scrolledTo: selector };
   }
@@ -246,13 +270,15 @@ function getText(params) {
   const { selector } = params;
 
   if (!selector) {
-    return { text: document.body.innerText };
+    const { chunk, ...page } = pageText(document.body.innerText, params);
+    return { text: chunk, ...page };
   }
 
   const element = findElement(selector);
-  if (!element) throw new Error(`Element not found: ${selector}`);
+  if (!element) throw bridgeError(ERROR_ELEMENT_NOT_FOUND, `Element not found: ${selector}`);
 
-  return { text: element.innerText };
+  const { chunk, ...page } = pageText(element.innerText, params);
+  return { text: chunk, ...page };
 }
 
 // HTML 取得
@@ -260,13 +286,239 @@ function getHtml(params) {
   const { selector, outer = false } = params;
 
   if (!selector) {
-    return { html: document.documentElement.outerHTML };
+    const { chunk, ...page } = pageText(document.documentElement.outerHTML, params);
+    return { html: chunk, ...page };
   }
 
   const element = findElement(selector);
-  if (!element) throw new Error(`Element not found: ${selector}`);
+  if (!element) throw bridgeError(ERROR_ELEMENT_NOT_FOUND, `Element not found: ${selector}`);
+
+  const { chunk, ...page } = pageText(outer ? element.outerHTML : element.innerHTML, params);
+  return { html: chunk, ...page };
+}
+
+// getText / getHtml のページング: offset（または前回の nextCursor）から maxChars 文字
+// length は全体の文字数、続きがあれば truncated: true と次の開始位置 nextCursor を返す
+function pageText(value, params) {
+  const offset = Math.max(0, Math.floor(Number(params.cursor ?? params.offset) || 0));
+  let end = params.maxChars ? offset + Math.max(1, Math.floor(Number(params.maxChars))) : value.length;
+  // サロゲートペアの途中で切らない
+  if (end < value.length && /[\uD800-\uDBFF]/.test(value[end - 1])) end--;
+  const truncated = end < value.length;
+  return {
+    chunk: value.slice(offset, end),
+    length: value.length,
+    offset,
+    truncated,
+    nextCursor: truncated ? end : null
+  };
+}
+
+// --- 本文抽出（Markdown） ---
+// 記事・スレッドを読むときに getText / getHtml の代わりに使う
+// 本文らしい要素を選び、ナビゲーション・広告等を除いて Markdown にする
+
+// 本文から除く要素
+const CONTENT_SKIP_SELECTOR = [
+  'script', 'style', 'noscript', 'template', 'iframe', 'svg', 'canvas', 'button', 'input',
+  'select', 'textarea', 'nav', 'aside', 'footer', 'dialog',
+  '[role="navigation"]', '[role="banner"]', '[role="complementary"]', '[role="contentinfo"]',
+  '[role="dialog"]', '[aria-hidden="true"]', '[hidden]'
+].join(', ');
+// class / id がこれに当たる要素は広告・共有ボタン等として除く
+const CONTENT_NOISE_PATTERN = /(^|[-_\s])(ads?|advert\w*|sponsor\w*|promo\w*|banner|cookie\w*|consent|newsletter|share|social|related|recommend\w*|popup|modal|breadcrumbs?|sidebar|skip-link)([-_\s]|$)/i;
+const CONTENT_MIN_LENGTH = 200;
+
+function extractContent(params = {}) {
+  const root = params.selector ? findElement(params.selector) : findMainContent();
+  if (!root) throw bridgeError(ERROR_ELEMENT_NOT_FOUND, `Element not found: ${params.selector}`);
+
+  // コードブロックの中は空白を詰めない
+  const markdown = elementToMarkdown(root, { listDepth: 0 })
+    .split(/(```[^\n]*\n[\s\S]*?\n```)/)
+    .map((part, i) => i % 2 ? part : part
+      .replace(/[ \t]+\n/g, '\n')
+      .replace(/(^|\n\n)[ \t]+/g, '$1')
+      .replace(/\n{3,}/g, '\n\n'))
+    .join('')
+    .trim();
+
+  return { ...pageMetadata(), markdown, length: markdown.length };
+}
+
+function pageMetadata() {
+  const meta = (...names) => {
+    for (const name of names) {
+      const value = document.querySelector(`meta[name="${name}"], meta[property="${name}"], meta[itemprop="${name}"]`)
+        ?.getAttribute('content');
+      if (value) return value.trim();
+    }
+    return null;
+  };
+  const authorElement = document.querySelector('[rel="author"], [itemprop="author"], .author, .byline');
+  const timeElement = document.querySelector('article time[datetime], main time[datetime], time[datetime]');
+
+  return {
+    title: meta('og:title', 'twitter:title') || document.title,
+    author: meta('author', 'article:author', 'parsely-author') || authorElement?.innerText?.trim() || null,
+    published: meta('article:published_time', 'datePublished', 'date', 'pubdate') ||
+      timeElement?.getAttribute('datetime') || null,
+    canonicalUrl: document.querySelector('link[rel="canonical"]')?.href || meta('og:url') || location.href,
+    siteName: meta('og:site_name'),
+    description: meta('description', 'og:description'),
+    url: location.href
+  };
+}
+
+// 本文の候補: article / main を優先し、なければ段落のテキスト量が最も多い要素
+function findMainContent() {
+  const textLength = (el) => (el.innerText || '').trim().length;
+  const articles = Array.from(document.querySelectorAll('article'));
+  if (articles.length === 1 && textLength(articles[0]) >= CONTENT_MIN_LENGTH) return articles[0];
+
+  const main = document.querySelector('main, [role="main"]');
+  if (main && textLength(main) >= CONTENT_MIN_LENGTH) return main;
+
+  // 段落の文字数を親（と祖父母に半分）へ加算し、リンクだらけの要素は減点する
+  const scores = new Map();
+  for (const paragraph of document.querySelectorAll('p, pre, li, td, blockquote')) {
+    const length = textLength(paragraph);
+    if (length < 25) continue;
+    const parent = paragraph.parentElement;
+    const grandparent = parent?.parentElement;
+    if (parent) scores.set(parent, (scores.get(parent) || 0) + length);
+    if (grandparent) scores.set(grandparent, (scores.get(grandparent) || 0) + length / 2);
+  }
+
+  let best = null;
+  let bestScore = 0;
+  for (const [el, score] of scores) {
+    const linkText = Array.from(el.querySelectorAll('a')).reduce((sum, a) => sum + textLength(a), 0);
+    const adjusted = score * (1 - Math.min(1, linkText / Math.max(1, textLength(el))));
+    if (adjusted > bestScore) {
+      best = el;
+      bestScore = adjusted;
+    }
+  }
+  return best || main || document.body;
+}
+
+function isContentNoise(el) {
+  if (el.matches(CONTENT_SKIP_SELECTOR)) return true;
+  const name = `${typeof el.className === 'string' ? el.className : ''} ${el.id}`;
+  if (CONTENT_NOISE_PATTERN.test(name)) return true;
+  // 非表示の要素（checkVisibility がないブラウザでは判定しない）
+  return el.checkVisibility ? !el.checkVisibility() : false;
+}
+
+// ブロック要素の子を Markdown にする
+function blockToMarkdown(el, context) {
+  let output = '';
+  for (const node of el.childNodes) {
+    output += nodeToMarkdown(node, context);
+  }
+  return output;
+}
+
+function inlineText(el, context) {
+  return blockToMarkdown(el, context).replace(/\s+/g, ' ').trim();
+}
+
+function nodeToMarkdown(node, context) {
+  if (node.nodeType === Node.TEXT_NODE) {
+    return node.textContent.replace(/\s+/g, ' ');
+  }
+  if (node.nodeType !== Node.ELEMENT_NODE || isContentNoise(node)) return '';
+  return elementToMarkdown(node, context);
+}
+
+function elementToMarkdown(node, context) {
+  const tag = node.tagName.toLowerCase();
+  switch (tag) {
+    case 'h1': case 'h2': case 'h3': case 'h4': case 'h5': case 'h6': {
+      const text = inlineText(node, context);
+      return text ? `\n\n${'#'.repeat(Number(tag[1]))} ${text}\n\n` : '';
+    }
+    case 'p':
+    case 'div':
+    case 'section':
+    case 'article':
+    case 'main':
+    case 'header':
+    case 'figure':
+      return `\n\n${blockToMarkdown(node, context)}\n\n`;
+    case 'figcaption': {
+      const text = inlineText(node, context);
+      return text ? `\n\n*${text}*\n\n` : '';
+    }
+    case 'br':
+      return '\n';
+    case 'hr':
+      return '\n\n---\n\n';
+    case 'a': {
+      const text = inlineText(node, context);
+      const href = node.href;
+      if (!text) return '';
+      return href && !href.startsWith('javascript:') ? `[${text}](${href})` : text;
+    }
+    case 'img': {
+      const alt = (node.alt || '').trim();
+      // alt のない画像は装飾とみなす
+      return alt ? `![${alt}](${node.currentSrc || node.src})` : '';
+    }
+    case 'strong':
+    case 'b': {
+      const text = inlineText(node, context);
+      return text ? `**${text}**` : '';
+    }
+    case 'em':
+    case 'i': {
+      const text = inlineText(node, context);
+      return text ? `*${text}*` : '';
+    }
+    case 'code':
+      return `\`${node.textContent}\``;
+    case 'pre': {
+      const language = /(?:language|lang)-(\w+)/.exec(node.querySelector('code')?.className || node.className)?.[1] || '';
+      return `\n\n\`\`\`${language}\n${node.textContent.replace(/\n$/, '')}\n\`\`\`\n\n`;
+    }
+    case 'blockquote': {
+      const text = blockToMarkdown(node, context).replace(/\n{3,}/g, '\n\n').trim();
+      return `\n\n${text.split('\n').map(line => `> ${line}`.trimEnd()).join('\n')}\n\n`;
+    }
+    case 'ul':
+    case 'ol':
+      return `\n\n${listToMarkdown(node, context)}\n\n`;
+    case 'table':
+      return `\n\n${tableToMarkdown(node, context)}\n\n`;
+    default:
+      return blockToMarkdown(node, context);
+  }
+}
 
-  return { html: outer ? element.outerHTML : element.innerHTML };
+function listToMarkdown(list, context) {
+  const indent = '  '.repeat(context.listDepth);
+  const ordered = list.tagName === 'OL';
+  const items = Array.from(list.children).filter(item => item.tagName === 'LI' && !isContentNoise(item));
+  return items.map((item, index) => {
+    const marker = ordered ? `${index + 1}.` : '-';
+    const body = blockToMarkdown(item, { ...context, listDepth: context.listDepth + 1 })
+      .replace(/\n{2,}/g, '\n')
+      .trim();
+    // 入れ子のリストは行頭のインデントを保ったまま続ける
+    const [first, ...rest] = body.split('\n');
+    return [`${indent}${marker} ${first.trim()}`, ...rest.filter(line => line.trim())].join('\n');
+  }).join('\n');
+}
+
+function tableToMarkdown(table, context) {
+  const rows = Array.from(table.rows).map(row =>
+    Array.from(row.cells).map(cell => inlineText(cell, context).replace(/\|/g, '\\|'))
+  ).filter(cells => cells.length);
+  if (!rows.length) return '';
+  const width = Math.max(...rows.map(cells => cells.length));
+  const line = (cells) => `| ${Array.from({ length: width }, (_, i) => cells[i] || '').join(' | ')} |`;
+  return [line(rows[0]), line(Array(width).fill('---')), ...rows.slice(1).map(line)].join('\n');
 }
 
 // 属性取得
@@ -274,26 +526,35 @@ function getAttribute(params) {
   const { selector, attribute } = params;
 
   const element = findElement(selector);
-  if (!element) throw new Error(`Element not found: ${selector}`);
+  if (!element) throw bridgeError(ERROR_ELEMENT_NOT_FOUND, `Element not found: ${selector}`);
 
   return { value: element.getAttribute(attribute) };
 }
 
 // 要素を待機
-async function waitForElement(params) {
+async function waitForElement(params, requestId) {
   const { selector, timeout = 10000 } = params;
 
   const startTime = Date.now();
+  const waiting = { cancelled: false };
+  if (requestId !== undefined) waitingRequests.set(requestId, waiting);
 
-  while (Date.now() - startTime < timeout) {
-    const element = findElement(selector);
-    if (element) {
-      return { found: true };
+  try {
+    while (Date.now() - startTime < timeout) {
+      if (waiting.cancelled) {
+        return { found: false, cancelled: true };
+      }
+      const element = findElement(selector);
+      if (element) {
+        return { found: true };
+      }
+      await new Promise(resolve => setTimeout(resolve, 100));
     }
-    await new Promise(resolve => setTimeout(resolve, 100));
-  }
 
-  return { found: false, timeout: true };
+    return { found: false, timeout: true };
+  } finally {
+    waitingRequests.delete(requestId);
+  }
 }
 
 // JavaScript 実行
@@ -317,7 +578,7 @@ async function uploadFile(params) {
   let fileInput = selector ? findElement(selector) : document.querySelector('input[type="file"]');
 
   if (!fileInput) {
-    throw new Error(`File input not found: ${selector || 'input[type="file"]'}`);
+    throw bridgeError(ERROR_ELEMENT_NOT_FOUND, `File input not found: ${selector || 'input[type="file"]'}`);
   }
 
   // base64をBlobに変換
@@ -349,7 +610,7 @@ function setHtml(params) {
   const { selector, html } = params;
 
   const element = findElement(selector);
-  if (!element) throw new Error(`Element not found: ${selector}`);
+  if (!element) throw bridgeError(ERROR_ELEMENT_NOT_FOUND, `Element not found: ${selector}`);
 
   element.focus();
   element.innerHTML = html;
@@ -1,5 +1,7 @@
-// Offscreen document for maintaining WebSocket connection
-// ws_url is configurable via chrome.storage.local or URL query param (?ws=ws://host:port)
+// WebSocket 接続を維持する Offscreen ドキュメント
+// ws_url は chrome.storage.local または URL のクエリ（?ws=ws://host:port）で変更できる
+// bridge_token（サーバーの BRIDGE_TOKEN と同じ共有シークレット）は chrome.storage.local から読む
+// browser_name（複数の Chrome を振り分けるためにサーバーへ名乗る名前）も同様
 const DEFAULT_WS_URL = 'ws://localhost:8765';
 // フォールバック候補。環境固有のIPは chrome.storage.local 経由で設定する
 // （ポップアップUIまたは chrome.storage.local.set({ws_url: 'ws://YOUR_IP:8765'}) ）
@@ -12,6 +14,19 @@ let reconnectInterval = null;
 let candidateIndex = 0;
 let candidatesCache = null;
 
+// サーバーが認証失敗時に使う close コード（auth.js の AUTH_CLOSE_CODE と一致させる）
+const AUTH_CLOSE_CODE = 4401;
+
+async function resolveStoredString(key) {
+  try {
+    const data = await chrome.storage.local.get([key]);
+    if (data && typeof data[key] === 'string' && data[key].trim()) {
+      return data[key].trim();
+    }
+  } catch (_) {}
+  return undefined;
+}
+
 async function resolveWsUrlCandidates() {
   const candidates = [];
   try {
@@ -30,7 +45,7 @@ async function resolveWsUrlCandidates() {
   candidates.push(DEFAULT_WS_URL);
   for (const u of FALLBACK_WS_URLS) candidates.push(u);
 
-  // de-dup
+  // 重複を除く
   return Array.from(new Set(candidates));
 }
 
@@ -43,6 +58,9 @@ async function connect() {
       candidateIndex = 0;
     }
     const wsUrl = candidatesCache[candidateIndex] || DEFAULT_WS_URL;
+    const token = await resolveStoredString('bridge_token');
+    // 未設定ならサーバー側で連番の名前が振られる
+    const name = await resolveStoredString('browser_name');
     ws = new WebSocket(wsUrl);
 
     ws.onopen = () => {
@@ -51,21 +69,37 @@ async function connect() {
         clearInterval(reconnectInterval);
         reconnectInterval = null;
       }
-      ws.send(JSON.stringify({ type: 'connected', message: 'Chrome extension connected' }));
+      ws.send(JSON.stringify({ type: 'connected', message: 'Chrome extension connected', name, token }));
     };
 
     ws.onmessage = async (event) => {
+      let data;
       try {
-        const data = JSON.parse(event.data);
-        // Service Worker にメッセージを転送
-        const result = await chrome.runtime.sendMessage({ type: 'command', data });
-        ws.send(JSON.stringify({ id: data.id, result }));
+        data = JSON.parse(event.data);
+
+        // サーバーからの中断要求（タイムアウト・クライアント切断）
+        if (data.type === 'cancel') {
+          chrome.runtime.sendMessage({ type: 'cancel', id: data.id });
+          return;
+        }
+
+        // Service Worker にメッセージを転送（{ result } または { error, code } が返る）
+        const response = await chrome.runtime.sendMessage({ type: 'command', data });
+        if (!response) {
+          ws.send(JSON.stringify({ id: data.id, error: 'No response from service worker', code: ERROR_INTERNAL_ERROR }));
+          return;
+        }
+        ws.send(JSON.stringify({ id: data.id, ...response }));
       } catch (error) {
-        ws.send(JSON.stringify({ id: null, error: error.message }));
+        // id で対応付けできるよう、パース済みならリクエストの id を返す
+        ws.send(JSON.stringify({ id: data?.id ?? null, error: error.message, code: ERROR_INTERNAL_ERROR }));
       }
     };
 
-    ws.onclose = () => {
+    ws.onclose = (event) => {
+      if (event.code === AUTH_CLOSE_CODE) {
+        console.error('[Offscreen] 認証エラー: トークンが未設定または不一致です（ポップアップで設定してください）');
+      }
       console.log('[Offscreen] WebSocket 切断:', wsUrl);
       startReconnect();
     };
@@ -96,4 +130,12 @@ function startReconnect() {
   }, 3000);
 }
 
+// background.js が発行する購読イベントをサーバーへ転送
+chrome.runtime.onMessage.addListener((message) => {
+  if (message.type !== 'event') return;
+  if (ws && ws.readyState === WebSocket.OPEN) {
+    ws.send(JSON.stringify(message));
+  }
+});
+
 connect();
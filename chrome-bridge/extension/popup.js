@@ -48,3 +48,55 @@ async function saveWsUrl() {
 
 document.getElementById('saveWsUrl')?.addEventListener('click', saveWsUrl);
 loadWsUrl();
+
+// 認証トークン設定の読み書き（サーバーの BRIDGE_TOKEN と一致させる）
+async function loadToken() {
+  try {
+    const data = await chrome.storage.local.get(['bridge_token']);
+    const input = document.getElementById('bridgeToken');
+    if (input) input.value = data.bridge_token || '';
+  } catch (_) {}
+}
+
+async function saveToken() {
+  const input = document.getElementById('bridgeToken');
+  if (!input) return;
+  const value = input.value.trim();
+  try {
+    if (value) {
+      await chrome.storage.local.set({ bridge_token: value });
+    } else {
+      await chrome.storage.local.remove(['bridge_token']);
+    }
+    input.blur();
+  } catch (_) {}
+}
+
+document.getElementById('saveToken')?.addEventListener('click', saveToken);
+loadToken();
+
+// ブラウザ名設定の読み書き（複数 Chrome 接続時のルーティング用）
+async function loadBrowserName() {
+  try {
+    const data = await chrome.storage.local.get(['browser_name']);
+    const input = document.getElementById('browserName');
+    if (input) input.value = data.browser_name || '';
+  } catch (_) {}
+}
+
+async function saveBrowserName() {
+  const input = document.getElementById('browserName');
+  if (!input) return;
+  const value = input.value.trim();
+  try {
+    if (value) {
+      await chrome.storage.local.set({ browser_name: value });
+    } else {
+      await chrome.storage.local.remove(['browser_name']);
+    }
+    input.blur();
+  } catch (_) {}
+}
+
+document.getElementById('saveBrowserName')?.addEventListener('click', saveBrowserName);
+loadBrowserName();
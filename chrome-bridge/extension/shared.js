@@ -0,0 +1,612 @@
+// Claude Code Bridge - 共通ヘルパー
+// background.js（importScripts）と server-cc.js（require）の両方で使う、chrome.* や CDP の接続に依存しない処理
+// 状態（タブ・セッションごとのバッファやルート）の置き場所と CDP の送信は各バックエンドが持つ
+
+// background.js / protocol.js の ErrorCodes と同じ値（offscreen.html も読み込んで使う）
+// エラーは { message, code }（BridgeError と同じ形）で投げる。バックエンドは code だけを見る
+const ERROR_INVALID_PARAMS = 'INVALID_PARAMS';
+const ERROR_DIALOG_OPEN = 'DIALOG_OPEN';
+const ERROR_INTERNAL_ERROR = 'INTERNAL_ERROR';
+
+function bridgeError(code, message) {
+  const error = new Error(message);
+  error.name = 'BridgeError';
+  error.code = code;
+  return error;
+}
+
+// --- コンソール ---
+// console.*・未捕捉の例外・ブラウザのログ（Log ドメイン: CSP 違反・読み込み失敗等）を同じ形式のエントリにする
+// level は Log ドメインと同じ verbose / info / warning / error（readConsole の level フィルタ）
+const CONSOLE_LIMIT = 500;
+const CONSOLE_LEVELS = ['verbose', 'info', 'warning', 'error'];
+// console のメソッド名でも level を指定できるように
+const CONSOLE_LEVEL_ALIASES = { debug: 'verbose', log: 'info', warn: 'warning' };
+const STACK_LIMIT = 10;
+
+// console のメソッド（Runtime.consoleAPICalled の type）→ level
+function consoleLevel(type) {
+  if (type === 'error' || type === 'assert') return 'error';
+  if (type === 'warning') return 'warning';
+  if (type === 'debug') return 'verbose';
+  return 'info';
+}
+
+function consoleApiEntry(params) {
+  const level = consoleLevel(params.type);
+  const frames = stackFrames(params.stackTrace);
+  return {
+    type: params.type,
+    level,
+    source: 'console',
+    text: formatConsoleArgs(params.args || []),
+    url: frames[0]?.url,
+    line: frames[0]?.line,
+    column: frames[0]?.column,
+    // 呼び出し履歴はエラー・警告・console.trace のときだけ残す
+    stackTrace: frames.length && (level === 'error' || level === 'warning' || params.type === 'trace') ? frames : undefined,
+    timestamp: params.timestamp
+  };
+}
+
+function exceptionEntry(params) {
+  const details = params.exceptionDetails || {};
+  const frames = stackFrames(details.stackTrace);
+  // description は "TypeError: ...\n    at ..." なので1行目だけ（履歴は stackTrace に）
+  const message = details.exception ? formatRemoteObject(details.exception).split('\n')[0] : '';
+  return {
+    type: 'error',
+    level: 'error',
+    source: 'exception',
+    text: [details.text, message].filter(Boolean).join(' '),
+    url: details.url || frames[0]?.url,
+    line: details.lineNumber !== undefined ? details.lineNumber + 1 : frames[0]?.line,
+    column: details.columnNumber !== undefined ? details.columnNumber + 1 : frames[0]?.column,
+    stackTrace: frames.length ? frames : undefined,
+    timestamp: params.timestamp
+  };
+}
+
+// source: network（読み込み失敗）/ security（CSP 等）/ violation / intervention / deprecation 等
+function browserLogEntry(entry) {
+  const frames = stackFrames(entry.stackTrace);
+  return {
+    type: entry.level === 'verbose' ? 'debug' : entry.level,
+    level: entry.level,
+    source: entry.source,
+    text: entry.text,
+    url: entry.url || frames[0]?.url,
+    line: entry.lineNumber !== undefined ? entry.lineNumber + 1 : frames[0]?.line,
+    column: frames[0]?.column,
+    stackTrace: frames.length ? frames : undefined,
+    networkRequestId: entry.networkRequestId,
+    timestamp: entry.timestamp
+  };
+}
+
+// CDP の行・列は 0 始まりなので 1 始まりにする
+function stackFrames(stackTrace) {
+  return (stackTrace?.callFrames || []).slice(0, STACK_LIMIT).map(frame => ({
+    functionName: frame.functionName || '(anonymous)',
+    url: frame.url,
+    line: frame.lineNumber + 1,
+    column: frame.columnNumber + 1
+  }));
+}
+
+// console.log の引数を DevTools のように1行にする（'%s 件' 等の書式指定も埋める）
+function formatConsoleArgs(args) {
+  const rest = [...args];
+  const parts = [];
+  if (rest[0]?.type === 'string' && /%[sdifoOc]/.test(rest[0].value)) {
+    const format = rest.shift().value;
+    parts.push(format.replace(/%([sdifoOc])/g, (match, spec) => {
+      if (!rest.length) return match;
+      const arg = rest.shift();
+      if (spec === 'c') return '';
+      if (spec === 'd' || spec === 'i') return String(parseInt(arg.value ?? arg.description));
+      if (spec === 'f') return String(parseFloat(arg.value ?? arg.description));
+      return formatRemoteObject(arg);
+    }));
+  }
+  return [...parts, ...rest.map(formatRemoteObject)].join(' ');
+}
+
+// Runtime.RemoteObject → 文字列（オブジェクトは preview から {a: 1, b: "x"} のように展開）
+function formatRemoteObject(object) {
+  if (!object) return '';
+  if (object.type === 'string') return object.value;
+  if (object.type === 'undefined') return 'undefined';
+  if (object.unserializableValue) return object.unserializableValue;
+  if (object.subtype === 'null') return 'null';
+  if (object.type !== 'object' && 'value' in object) return String(object.value);
+  if (object.preview && object.subtype !== 'error') return formatPreview(object.preview);
+  return object.description ?? '';
+}
+
+// Runtime.ObjectPreview → [1, 2] / {a: 1} / Map(1) {"k" => 1}（入りきらない分は …）
+function formatPreview(preview) {
+  // Map / Set の要素はプリミティブの preview もある
+  if (preview.type === 'string') return JSON.stringify(preview.description);
+  if (preview.type !== 'object') return preview.description ?? '';
+  const more = preview.overflow ? ', …' : '';
+  const value = (property) => {
+    if (property.valuePreview) return formatPreview(property.valuePreview);
+    if (property.type === 'string') return JSON.stringify(property.value);
+    return property.value ?? property.type;
+  };
+
+  if (preview.entries) {
+    const entries = preview.entries.map(entry =>
+      (entry.key ? `${formatPreview(entry.key)} => ${formatPreview(entry.value)}` : formatPreview(entry.value)));
+    return `${preview.description} {${entries.join(', ')}${more}}`;
+  }
+  if (preview.subtype === 'array' || preview.subtype === 'typedarray') {
+    return `[${preview.properties.map(value).join(', ')}${more}]`;
+  }
+  const prefix = preview.description && preview.description !== 'Object' ? `${preview.description} ` : '';
+  return `${prefix}{${preview.properties.map(p => `${p.name}: ${value(p)}`).join(', ')}${more}}`;
+}
+
+// readConsole のフィルタ: level はその重要度以上（warning なら warning と error）、since はその時刻以降
+function consoleFilter({ level, since }) {
+  const minLevel = level ? CONSOLE_LEVEL_ALIASES[level] || level : null;
+  if (minLevel && !CONSOLE_LEVELS.includes(minLevel)) {
+    throw bridgeError(ERROR_INVALID_PARAMS, `Unknown console level: ${level} (${CONSOLE_LEVELS.join(' / ')})`);
+  }
+  // since は epoch ms か ISO 8601 の日時
+  const sinceTime = since === undefined || since === null || since === '' ? null
+    : typeof since === 'number' ? since : Date.parse(since);
+  if (Number.isNaN(sinceTime)) throw bridgeError(ERROR_INVALID_PARAMS, `Invalid since: ${since}`);
+
+  return entry =>
+    (!minLevel || CONSOLE_LEVELS.indexOf(entry.level) >= CONSOLE_LEVELS.indexOf(minLevel)) &&
+    (sinceTime === null || entry.timestamp >= sinceTime);
+}
+
+// --- ネットワーク ---
+// リクエスト単位でメソッド・ヘッダー・POSTデータ・タイミング・失敗を記録する（exportHar の元データ）
+// レスポンスボディは記録せず、必要なときに getResponseBody（Network.getResponseBody）で取る
+const NETWORK_LIMIT = 200;
+
+// Network.* イベントを requests に反映する。nextSeq は新しいエントリに振る通し番号
+// 戻り値は network イベントで知らせるエントリ（レスポンス受信・失敗のとき。それ以外は null）
+function updateNetworkEntries(requests, method, params, nextSeq) {
+  // リダイレクトは同じ requestId で続くので最後のものを対象にする
+  const current = () => requests.findLast(entry => entry.requestId === params.requestId);
+  const add = (entry) => {
+    requests.push(entry);
+    if (requests.length > NETWORK_LIMIT) requests.splice(0, requests.length - NETWORK_LIMIT);
+    return entry;
+  };
+
+  if (method === 'Network.requestWillBeSent') {
+    const previous = params.redirectResponse && current();
+    if (previous) {
+      applyNetworkResponse(previous, params.redirectResponse);
+      previous.state = 'redirected';
+      previous.redirectURL = params.request.url;
+      previous.endTimestamp = params.timestamp;
+    }
+    add({
+      seq: nextSeq(),
+      requestId: params.requestId,
+      url: params.request.url,
+      method: params.request.method,
+      type: params.type,
+      requestHeaders: params.request.headers,
+      postData: params.request.postData,
+      startedAt: params.wallTime * 1000,
+      timestamp: params.timestamp,
+      state: 'pending'
+    });
+    return null;
+  }
+
+  if (method === 'Network.responseReceived') {
+    // 記録を始める前に始まったリクエストはここで足す
+    const entry = current() || add({
+      seq: nextSeq(),
+      requestId: params.requestId,
+      url: params.response?.url,
+      startedAt: Date.now(),
+      timestamp: params.timestamp,
+      state: 'pending'
+    });
+    entry.type = params.type;
+    applyNetworkResponse(entry, params.response);
+    return entry;
+  }
+
+  const entry = current();
+  if (!entry) return null;
+
+  if (method === 'Network.loadingFinished') {
+    entry.state = 'complete';
+    entry.endTimestamp = params.timestamp;
+    entry.encodedDataLength = params.encodedDataLength;
+    return null;
+  }
+  if (method === 'Network.loadingFailed') {
+    entry.state = 'failed';
+    entry.endTimestamp = params.timestamp;
+    entry.error = params.blockedReason ? `${params.errorText} (${params.blockedReason})` : params.errorText;
+    entry.canceled = params.canceled || undefined;
+    return entry;
+  }
+  return null;
+}
+
+function applyNetworkResponse(entry, response = {}) {
+  entry.url = response.url || entry.url;
+  entry.status = response.status;
+  entry.statusText = response.statusText;
+  entry.mimeType = response.mimeType;
+  entry.protocol = response.protocol;
+  entry.remoteIPAddress = response.remoteIPAddress;
+  entry.responseHeaders = response.headers;
+  entry.timing = response.timing;
+  entry.fromCache = response.fromDiskCache || response.fromServiceWorker || undefined;
+  // 実際に送られたヘッダー（Cookie 等を含む）があればそちらを使う
+  if (response.requestHeaders) entry.requestHeaders = response.requestHeaders;
+}
+
+// readNetwork（details なし）・network イベントで返す項目
+function networkSummary(entry) {
+  return {
+    seq: entry.seq,
+    requestId: entry.requestId,
+    method: entry.method,
+    url: entry.url,
+    type: entry.type,
+    status: entry.status,
+    mimeType: entry.mimeType,
+    state: entry.state,
+    error: entry.error,
+    duration: entry.endTimestamp ? Math.round((entry.endTimestamp - entry.timestamp) * 1000) : undefined
+  };
+}
+
+// readNetwork のフィルタ: url は部分一致、status は 404 / '4xx' / 'failed'
+function matchesNetworkFilter(entry, { url, method, status }) {
+  if (url && !entry.url?.includes(url)) return false;
+  if (method && entry.method?.toUpperCase() !== String(method).toUpperCase()) return false;
+  if (status === undefined || status === null || status === '') return true;
+  if (status === 'failed') return entry.state === 'failed';
+  const range = /^([1-5])xx$/i.exec(status);
+  if (range) return Math.floor(entry.status / 100) === Number(range[1]);
+  return entry.status === Number(status);
+}
+
+// readConsole / readNetwork のページング
+// cursor なし: 最新 limit 件（before があればその seq より前の最新 limit 件）
+// cursor あり: その seq より後を古い順に limit 件
+// maxChars は JSON にしたときの合計文字数の上限（最低1件は返す）
+// truncated: 返しきれなかったエントリがある
+// nextCursor: 新しい側の続きを読むときの cursor（新着の追跡にも使う）
+// prevCursor: 最新側を返して古い側を削ったとき、その続きを読むための before（なければ null）
+function pageEntries(all, params, defaultLimit) {
+  const { cursor, before, limit = defaultLimit, maxChars } = params;
+  const forward = cursor !== undefined && cursor !== null;
+  const backward = !forward && before !== undefined && before !== null;
+  const candidates = forward ? all.filter(entry => entry.seq > Number(cursor))
+    : backward ? all.filter(entry => entry.seq < Number(before)) : all;
+  let entries = forward ? candidates.slice(0, limit) : candidates.slice(-limit);
+
+  if (maxChars) {
+    // 前方向は新しい側を、末尾取得は古い側を削る
+    const ordered = forward ? entries : [...entries].reverse();
+    const kept = [];
+    let chars = 0;
+    for (const entry of ordered) {
+      chars += JSON.stringify(entry).length;
+      if (kept.length && chars > maxChars) break;
+      kept.push(entry);
+    }
+    entries = forward ? kept : kept.reverse();
+  }
+
+  const last = entries[entries.length - 1];
+  const truncated = entries.length < candidates.length;
+  return {
+    entries,
+    truncated,
+    nextCursor: last ? last.seq : (forward ? Number(cursor) : all[all.length - 1]?.seq ?? null),
+    prevCursor: !forward && truncated && entries.length ? entries[0].seq : null
+  };
+}
+
+// --- 要素の指定 ---
+// selector は CSS / XPath のほか、snapshot が返す ref=e123 も受け付ける
+// ref の数字は backendDOMNodeId（DOM ノードが生きている間は変わらない）
+function parseRef(selector) {
+  const match = /^ref=(.*)$/.exec(selector || '');
+  if (!match) return null;
+  const ref = /^e(\d+)$/.exec(match[1]);
+  if (!ref) throw bridgeError(ERROR_INVALID_PARAMS, `Invalid ref: ${selector}`);
+  return parseInt(ref[1]);
+}
+
+// content.js の getElement と同じ形の要素情報（ref 指定時に CDP の callFunctionOn で実行する関数のソース）
+const ELEMENT_INFO_FUNCTION = `function(el) {
+  if (!el) return null;
+  const rect = el.getBoundingClientRect();
+  const attributes = {};
+  for (const attr of el.attributes) attributes[attr.name] = attr.value;
+  return {
+    found: true,
+    tagName: el.tagName,
+    id: el.id,
+    className: el.className,
+    text: el.innerText?.substring(0, 1000),
+    value: el.value,
+    href: el.href,
+    src: el.src,
+    rect: { x: rect.x, y: rect.y, width: rect.width, height: rect.height },
+    visible: rect.width > 0 && rect.height > 0,
+    attributes
+  };
+}`;
+
+// 要素のページ座標での矩形を返す式（Page.captureScreenshot の clip 用、要素がなければ null）
+function elementClipExpression(selector) {
+  return `(function() {
+    const selector = ${JSON.stringify(selector)};
+    // XPath は content.js の findElement と同じ判定（querySelector に渡すと SyntaxError になる）
+    const el = selector.startsWith('//') || selector.startsWith('(//')
+      ? document.evaluate(selector, document, null, XPathResult.FIRST_ORDERED_NODE_TYPE, null).singleNodeValue
+      : document.querySelector(selector);
+    if (!el) return null;
+    const rect = el.getBoundingClientRect();
+    return { x: rect.x + window.scrollX, y: rect.y + window.scrollY, width: rect.width, height: rect.height };
+  })()`;
+}
+
+// --- アクセシビリティスナップショット ---
+// Accessibility.getFullAXTree を role / name のインデント付きリストにする
+//   - heading "Title" [level=1] [ref=e12]
+//     - link "Home" [ref=e15]
+// 名前のない generic / none は省いて子を繰り上げる。ref は cdpClick 等の selector に使える
+const SNAPSHOT_ROLE_NAMES = { RootWebArea: 'document', StaticText: 'text' };
+const SNAPSHOT_HIDDEN_ROLES = new Set(['InlineTextBox', 'LineBreak']);
+const SNAPSHOT_UNNAMED_SKIP = new Set(['generic', 'none', 'presentation', 'paragraph', 'group', 'Section']);
+const SNAPSHOT_INTERACTIVE_ROLES = new Set([
+  'button', 'link', 'textbox', 'searchbox', 'checkbox', 'radio', 'combobox', 'listbox', 'option',
+  'menuitem', 'menuitemcheckbox', 'menuitemradio', 'tab', 'switch', 'slider', 'spinbutton', 'treeitem'
+]);
+const SNAPSHOT_STATES = ['checked', 'selected', 'expanded', 'pressed', 'disabled', 'required', 'level'];
+const SNAPSHOT_NAME_LIMIT = 100;
+
+function formatAXTree(nodes, { interactive = false } = {}) {
+  const byId = new Map(nodes.map(node => [node.nodeId, node]));
+  const lines = [];
+  let refs = 0;
+
+  const visit = (node, depth, parentName) => {
+    const role = node.role?.value;
+    if (SNAPSHOT_HIDDEN_ROLES.has(role)) return;
+    const name = (node.name?.value || '').replace(/\s+/g, ' ').trim();
+
+    let shown = !node.ignored && !(SNAPSHOT_UNNAMED_SKIP.has(role) && !name);
+    // 親の名前と同じテキストは重複なので出さない
+    if (role === 'StaticText' && (!name || parentName.includes(name))) shown = false;
+    if (interactive && !SNAPSHOT_INTERACTIVE_ROLES.has(role)) shown = false;
+
+    if (shown) {
+      let line = `${'  '.repeat(depth)}- ${SNAPSHOT_ROLE_NAMES[role] || role}`;
+      if (name) line += ` ${JSON.stringify(name.slice(0, SNAPSHOT_NAME_LIMIT))}`;
+      for (const property of node.properties || []) {
+        if (!SNAPSHOT_STATES.includes(property.name)) continue;
+        const value = property.value?.value;
+        if (value === true) line += ` [${property.name}]`;
+        else if (value !== false && value !== undefined && value !== 'false') line += ` [${property.name}=${value}]`;
+      }
+      const value = node.value?.value;
+      if (value !== undefined && value !== '' && value !== name) line += `: ${JSON.stringify(String(value).slice(0, SNAPSHOT_NAME_LIMIT))}`;
+      if (node.backendDOMNodeId && role !== 'StaticText') {
+        line += ` [ref=e${node.backendDOMNodeId}]`;
+        refs++;
+      }
+      lines.push(line);
+    }
+
+    for (const childId of node.childIds || []) {
+      const child = byId.get(childId);
+      if (child) visit(child, shown ? depth + 1 : depth, shown ? name : parentName);
+    }
+  };
+
+  const root = nodes.find(node => !node.parentId) || nodes[0];
+  if (root) visit(root, 0, '');
+  return { text: lines.join('\n'), refs };
+}
+
+// maxWidth / maxHeight（出力ピクセル）に収まる縮小率。拡大はしない
+function screenshotDownscale(clip, dpr, maxWidth, maxHeight) {
+  let ratio = 1;
+  if (maxWidth) ratio = Math.min(ratio, maxWidth / (clip.width * dpr));
+  if (maxHeight) ratio = Math.min(ratio, maxHeight / (clip.height * dpr));
+  return ratio;
+}
+
+// --- ナビゲーション ---
+const NAVIGATION_WAIT_STATES = ['load', 'domcontentloaded', 'networkidle'];
+const NETWORK_IDLE_MS = 500;
+
+// '*' を含めばURL全体に対するグロブ、含まなければ部分一致
+function matchesUrlPattern(url, pattern) {
+  if (!pattern.includes('*')) return url.includes(pattern);
+  const source = pattern.split('*').map(p => p.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${source}$`).test(url);
+}
+
+// --- リクエストのルーティング（Fetch ドメイン） ---
+// addRoute で登録した URL パターン・リソース種別に合うリクエストを止めて
+// abort（中断）/ fulfill（指定したレスポンスを返す）/ continue（リクエストヘッダーを書き換えて続行）する
+// 複数のルートに合うときは後から追加したものを使う
+const ROUTE_ACTIONS = ['abort', 'fulfill', 'continue'];
+const RESOURCE_TYPES = [
+  'Document', 'Stylesheet', 'Image', 'Media', 'Font', 'Script', 'TextTrack', 'XHR', 'Fetch',
+  'Prefetch', 'EventSource', 'WebSocket', 'Manifest', 'SignedExchange', 'Ping',
+  'CSPViolationReport', 'Preflight', 'Other'
+];
+
+// addRoute の params → ルート（id はバックエンドが振る）
+function createRoute(params) {
+  const { urlPattern = '*', action = 'continue', status = 200, headers, body } = params;
+  if (!ROUTE_ACTIONS.includes(action)) {
+    throw bridgeError(ERROR_INVALID_PARAMS, `Unknown route action: ${action} (${ROUTE_ACTIONS.join(' / ')})`);
+  }
+  // 大文字小文字を問わず CDP の ResourceType 名にそろえる
+  const resourceTypes = params.resourceTypes?.length ? params.resourceTypes.map(type => {
+    const name = RESOURCE_TYPES.find(t => t.toLowerCase() === String(type).toLowerCase());
+    if (!name) throw bridgeError(ERROR_INVALID_PARAMS, `Unknown resource type: ${type}`);
+    return name;
+  }) : null;
+
+  const route = { urlPattern, resourceTypes, action, hits: 0 };
+  if (action === 'fulfill') Object.assign(route, { status, headers: headers || {}, body: body ?? '' });
+  if (action === 'continue' && headers) route.headers = headers;
+  return route;
+}
+
+// ルートのパターンだけ止める Fetch.enable の patterns
+function fetchPatterns(routes) {
+  return routes.flatMap(route => {
+    const urlPattern = fetchUrlPattern(route.urlPattern);
+    return route.resourceTypes
+      ? route.resourceTypes.map(resourceType => ({ urlPattern, resourceType }))
+      : [{ urlPattern }];
+  });
+}
+
+// matchesUrlPattern と同じ範囲を止める Fetch の urlPattern（Fetch では ? も1文字のワイルドカード）
+function fetchUrlPattern(pattern) {
+  const escaped = pattern.replace(/[?\\]/g, '\\$&');
+  return pattern.includes('*') ? escaped : `*${escaped}*`;
+}
+
+// Fetch.requestPaused → 返す CDP コマンド [method, params]。合ったルートの hits を数える
+function routeRequest(routes, { requestId, request, resourceType }) {
+  const route = routes.findLast(r =>
+    matchesUrlPattern(request.url, r.urlPattern) && (!r.resourceTypes || r.resourceTypes.includes(resourceType)));
+  if (!route) return ['Fetch.continueRequest', { requestId }];
+  route.hits++;
+
+  if (route.action === 'abort') {
+    return ['Fetch.failRequest', { requestId, errorReason: 'BlockedByClient' }];
+  }
+  if (route.action === 'fulfill') {
+    return ['Fetch.fulfillRequest', {
+      requestId,
+      responseCode: route.status,
+      responseHeaders: headerEntries(route.headers),
+      body: base64Encode(route.body)
+    }];
+  }
+  if (route.headers) {
+    return ['Fetch.continueRequest', { requestId, headers: headerEntries({ ...request.headers, ...route.headers }) }];
+  }
+  return ['Fetch.continueRequest', { requestId }];
+}
+
+// { name: value } → Fetch の HeaderEntry[]（値が null のヘッダーは外す）
+function headerEntries(headers = {}) {
+  return Object.entries(headers)
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([name, value]) => ({ name, value: String(value) }));
+}
+
+// UTF-8 の文字列を base64 に（Fetch.fulfillRequest の body）
+function base64Encode(text) {
+  const bytes = new TextEncoder().encode(text);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+// --- JavaScript ダイアログ（alert / confirm / prompt / beforeunload） ---
+// ダイアログが開くとページのスクリプト実行が止まり、evaluate やクリックが返ってこなくなる
+// ポリシーが accept / dismiss ならその場で閉じ、manual（デフォルト）なら開いたままにして
+// 実行中のコマンドを DIALOG_OPEN で止める（handleDialog で閉じる）
+// 状態はタブ・セッションごとの { dialog（開いているもの）, policy, dialogs（直近の記録） }
+const DIALOG_ACTIONS = ['accept', 'dismiss', 'manual'];
+const DIALOG_BLOCKED_METHODS = /^(Runtime\.(evaluate|callFunctionOn)|Input\.)/;
+const DIALOG_LOG_LIMIT = 20;
+
+function createDialogState() {
+  return { dialog: null, policy: { action: 'manual' }, dialogs: [] };
+}
+
+function dialogOpenError(dialog) {
+  return bridgeError(ERROR_DIALOG_OPEN,
+    `A ${dialog.type} dialog is open ("${dialog.message}"). Close it with handleDialog or set a policy with setDialogPolicy`);
+}
+
+// Page.javascriptDialogOpening を記録して開いているダイアログにする
+function recordDialogOpening(state, params) {
+  const dialog = {
+    type: params.type,
+    message: params.message,
+    url: params.url,
+    defaultPrompt: params.defaultPrompt || undefined,
+    openedAt: Date.now()
+  };
+  state.dialogs.push(dialog);
+  if (state.dialogs.length > DIALOG_LOG_LIMIT) state.dialogs.splice(0, state.dialogs.length - DIALOG_LOG_LIMIT);
+  state.dialog = dialog;
+  return dialog;
+}
+
+// Page.handleJavaScriptDialog で閉じた結果を記録
+// dialog は送る前の state.dialog（応答より先に javascriptDialogClosed が届いて外れていることがある）
+function recordDialogHandled(state, dialog, { accept, promptText }, handledBy) {
+  if (state.dialog === dialog) state.dialog = null;
+  if (!dialog) return null;
+  Object.assign(dialog, { accepted: accept, handledBy, closedAt: Date.now() });
+  if (accept && promptText !== undefined && dialog.type === 'prompt') dialog.promptText = promptText;
+  return dialog;
+}
+
+// Page.javascriptDialogClosed を記録（ユーザーが手で閉じた場合もここに来る）
+function recordDialogClosed(state, params) {
+  const dialog = state.dialog;
+  state.dialog = null;
+  if (!dialog) return;
+  dialog.accepted = params.result;
+  if (params.userInput) dialog.promptText = params.userInput;
+  dialog.handledBy = dialog.handledBy || 'user';
+  dialog.closedAt = Date.now();
+}
+
+// setDialogPolicy の params → ポリシー
+function createDialogPolicy({ action, promptText }) {
+  if (!DIALOG_ACTIONS.includes(action)) {
+    throw bridgeError(ERROR_INVALID_PARAMS, `Unknown dialog action: ${action} (${DIALOG_ACTIONS.join(' / ')})`);
+  }
+  return { action, promptText };
+}
+
+// 開いているダイアログにポリシーを当てるときの Page.handleJavaScriptDialog の params（manual なら null）
+function dialogPolicyResponse(policy) {
+  if (policy.action === 'manual') return null;
+  return { accept: policy.action === 'accept', promptText: policy.promptText };
+}
+
+// getPageInfo に載せるダイアログの状態
+function dialogInfo(state = createDialogState()) {
+  return { dialog: state.dialog, dialogPolicy: state.policy, dialogs: state.dialogs };
+}
+
+// server-cc.js から require する（拡張機能の Service Worker では importScripts でグローバルになる）
+if (typeof module !== 'undefined') {
+  module.exports = {
+    CONSOLE_LIMIT, consoleApiEntry, exceptionEntry, browserLogEntry, consoleFilter, updateNetworkEntries,
+    networkSummary, matchesNetworkFilter, pageEntries, parseRef, ELEMENT_INFO_FUNCTION, elementClipExpression,
+    formatAXTree, screenshotDownscale, NAVIGATION_WAIT_STATES, NETWORK_IDLE_MS, matchesUrlPattern, createRoute,
+    fetchPatterns, routeRequest, DIALOG_BLOCKED_METHODS, createDialogState, dialogOpenError, recordDialogOpening,
+    recordDialogHandled, recordDialogClosed, createDialogPolicy, dialogPolicyResponse, dialogInfo
+  };
+}
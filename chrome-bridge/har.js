@@ -0,0 +1,181 @@
+/**
+ * HAR 1.2 出力
+ *
+ * readNetwork（details: true）のエントリを HAR にする。
+ * レスポンスボディはブラウザ側に残っている間だけ Network.getResponseBody で取れるので、
+ * bodies: true のときだけ getResponseBody で取りに行く（取れないものは省く）。
+ *
+ *   const { exportHar } = require('./har');
+ *   await exportHar(bridge, { outputPath: 'itch.har', url: '/api/', bodies: true });
+ *
+ * HAR は Chrome DevTools の「Import HAR」や各種ビューアで開ける。
+ */
+
+const fs = require('fs');
+const { name, version } = require('./package.json');
+
+// readNetwork の件数上限（バッファより大きければ全件）
+const MAX_ENTRIES = 10000;
+
+// { name: value } → [{ name, value }]
+function nameValues(object = {}) {
+  return Object.entries(object).map(([name, value]) => ({ name, value: String(value) }));
+}
+
+function queryString(url) {
+  try {
+    return Array.from(new URL(url).searchParams, ([name, value]) => ({ name, value }));
+  } catch (e) {
+    return [];
+  }
+}
+
+function headerValue(headers = {}, name) {
+  const key = Object.keys(headers).find(k => k.toLowerCase() === name);
+  return key ? headers[key] : undefined;
+}
+
+// HTTP バージョン（CDP の protocol: 'h2' / 'http/1.1' 等）
+function httpVersion(protocol) {
+  if (!protocol) return '';
+  if (protocol === 'h2') return 'HTTP/2.0';
+  if (protocol === 'h3' || protocol.startsWith('h3-')) return 'HTTP/3.0';
+  return protocol.toUpperCase();
+}
+
+// ms の小数を丸める（浮動小数点の誤差を HAR に残さない）
+function round(ms) {
+  return Math.round(ms * 1000) / 1000;
+}
+
+// CDP の ResourceTiming（requestTime 基準の ms）を HAR の timings にする
+// 該当しない段階は -1（HAR の決まり）
+function harTimings(entry, total) {
+  const timing = entry.timing;
+  if (!timing) return { send: 0, wait: round(Math.max(0, total)), receive: 0 };
+
+  const span = (start, end) => (start >= 0 && end >= 0 ? round(end - start) : -1);
+  const firstStart = [timing.dnsStart, timing.connectStart, timing.sendStart].find(t => t >= 0) ?? 0;
+  const receiveEnd = entry.endTimestamp ? (entry.endTimestamp - timing.requestTime) * 1000 : timing.receiveHeadersEnd;
+  return {
+    blocked: round(firstStart),
+    dns: span(timing.dnsStart, timing.dnsEnd),
+    connect: span(timing.connectStart, timing.connectEnd),
+    ssl: span(timing.sslStart, timing.sslEnd),
+    send: round(Math.max(0, timing.sendEnd - timing.sendStart)),
+    wait: round(Math.max(0, timing.receiveHeadersEnd - timing.sendEnd)),
+    receive: round(Math.max(0, receiveEnd - timing.receiveHeadersEnd))
+  };
+}
+
+// HAR の time は timings の合計（ssl は connect に含まれるので足さない）
+function totalTime(timings) {
+  return round(['blocked', 'dns', 'connect', 'send', 'wait', 'receive']
+    .reduce((sum, key) => sum + Math.max(0, timings[key] ?? 0), 0));
+}
+
+function harEntry(entry, body) {
+  const requestHeaders = entry.requestHeaders || {};
+  const responseHeaders = entry.responseHeaders || {};
+  const timings = harTimings(entry, entry.endTimestamp && entry.timestamp ? (entry.endTimestamp - entry.timestamp) * 1000 : 0);
+  const mimeType = entry.mimeType || headerValue(responseHeaders, 'content-type') || '';
+
+  // ボディがなければ転送サイズで代用する
+  const content = { size: entry.encodedDataLength ?? 0, mimeType };
+  if (body) {
+    content.size = body.base64Encoded ? Buffer.from(body.body, 'base64').length : Buffer.byteLength(body.body);
+    content.text = body.body;
+    if (body.base64Encoded) content.encoding = 'base64';
+  }
+
+  const result = {
+    startedDateTime: new Date(entry.startedAt || Date.now()).toISOString(),
+    time: totalTime(timings),
+    request: {
+      method: entry.method || 'GET',
+      url: entry.url,
+      httpVersion: httpVersion(entry.protocol),
+      cookies: [],
+      headers: nameValues(requestHeaders),
+      queryString: queryString(entry.url),
+      headersSize: -1,
+      bodySize: entry.postData ? Buffer.byteLength(entry.postData) : 0
+    },
+    response: {
+      status: entry.status || 0,
+      statusText: entry.statusText || '',
+      httpVersion: httpVersion(entry.protocol),
+      cookies: [],
+      headers: nameValues(responseHeaders),
+      content,
+      redirectURL: entry.redirectURL || headerValue(responseHeaders, 'location') || '',
+      headersSize: -1,
+      bodySize: entry.encodedDataLength ?? -1
+    },
+    cache: {},
+    timings,
+    _resourceType: entry.type ? entry.type.toLowerCase() : undefined
+  };
+  if (entry.postData) {
+    result.request.postData = {
+      mimeType: headerValue(requestHeaders, 'content-type') || '',
+      text: entry.postData
+    };
+  }
+  if (entry.remoteIPAddress) result.serverIPAddress = entry.remoteIPAddress;
+  if (entry.state === 'failed') result._error = entry.error;
+  if (entry.state === 'pending') result.comment = 'Request had not finished when the HAR was exported';
+  return result;
+}
+
+/**
+ * @param {object[]} entries  readNetwork（details: true）の requests
+ * @param {Map<string, { body: string, base64Encoded: boolean }>} [bodies]  requestId → ボディ
+ */
+function buildHar(entries, bodies = new Map()) {
+  return {
+    log: {
+      version: '1.2',
+      creator: { name, version },
+      pages: [],
+      entries: entries.map(entry => harEntry(entry, entry.state === 'complete' ? bodies.get(entry.requestId) : undefined))
+    }
+  };
+}
+
+/**
+ * @param {import('./bridge').ChromeBridge} bridge
+ * @param {object} [params]
+ * @param {string} [params.outputPath]  書き出すファイル（省略で HAR を返す）
+ * @param {boolean} [params.bodies]     レスポンスボディを含める
+ * その他の params（url / method / status / tabId）は readNetwork のフィルタにそのまま渡す
+ */
+async function exportHar(bridge, { outputPath, bodies = false, ...params } = {}, options = {}) {
+  const { requests } = await bridge.send('readNetwork', {
+    ...params, details: true, limit: MAX_ENTRIES
+  }, options);
+
+  const bodyMap = new Map();
+  if (bodies) {
+    // リダイレクトは同じ requestId で続くので、最後（complete）の分だけ取る
+    for (const entry of requests.filter(e => e.state === 'complete')) {
+      try {
+        const body = await bridge.send('getResponseBody', {
+          requestId: entry.requestId, tabId: params.tabId, target: params.target
+        }, options);
+        bodyMap.set(entry.requestId, body);
+      } catch (e) {
+        // ブラウザ側で破棄済み・ボディなし（204 等）は省く
+      }
+    }
+  }
+
+  const har = buildHar(requests, bodyMap);
+  if (!outputPath) return har;
+
+  const json = JSON.stringify(har, null, 2);
+  fs.writeFileSync(outputPath, json);
+  return { path: outputPath, entries: har.log.entries.length, bytes: Buffer.byteLength(json) };
+}
+
+module.exports = { exportHar, buildHar };
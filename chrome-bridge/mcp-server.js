@@ -5,472 +5,445 @@
  *
  * CDP (Chrome DevTools Protocol) 経由でページのメインワールドでJS実行可能。
  * CSPをバイパスし、Selectize/Redactor等のページAPIに直接アクセスできる。
+ * コンソール・ネットワーク・ページテキストはリソースとしても公開し、購読すれば変化を通知する。
  */
 
 const { Server } = require('@modelcontextprotocol/sdk/server/index.js');
 const { StdioServerTransport } = require('@modelcontextprotocol/sdk/server/stdio.js');
-const WebSocket = require('ws');
+const {
+  ListToolsRequestSchema, CallToolRequestSchema,
+  ListResourcesRequestSchema, ListResourceTemplatesRequestSchema, ReadResourceRequestSchema,
+  SubscribeRequestSchema, UnsubscribeRequestSchema
+} = require('@modelcontextprotocol/sdk/types.js');
+const { loadEnv } = require('./env');
+const { ChromeBridge } = require('./bridge');
+const { ErrorCodes, BridgeError } = require('./protocol');
+const { COMMANDS, mcpTools, commandForTool, toolName, runCommand, parseTabId } = require('./commands');
+
+loadEnv();
+
+// --- バックエンド ---
+// 接続先のブリッジサーバー。拡張機能経由（server.js、8765）と CC専用 Chrome（server-cc.js、8766）を
+// 名前で使い分け、各ツールの backend 引数で送信先を選べる
+//
+//   node mcp-server.js [--host <host>] [--port <port>] [--token <token>]
+//                      [--backend <name>=<ws://host:port>]... [--default-backend <name>]
+//
+// 環境変数: BRIDGE_HOST / BRIDGE_PORT / CC_BRIDGE_PORT / BRIDGE_TOKEN
+//           BRIDGE_BACKENDS=name=ws://host:port,...（--backend と同じ。先頭が既定）
+//           BRIDGE_DEFAULT_BACKEND
+// --backend / BRIDGE_BACKENDS がなければ extension（host:port）と cc（host:CC_BRIDGE_PORT）の2つ
+function parseCliOptions(argv) {
+  const options = { backends: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i];
+    if (flag === '--host') options.host = argv[++i];
+    else if (flag === '--port') options.port = argv[++i];
+    else if (flag === '--token') options.token = argv[++i];
+    else if (flag === '--backend') options.backends.push(argv[++i]);
+    else if (flag === '--default-backend') options.defaultBackend = argv[++i];
+  }
+  return options;
+}
+
+function parseBackend(spec) {
+  const match = /^([\w-]+)=(wss?:\/\/.+)$/.exec(spec.trim());
+  if (!match) throw new Error(`Invalid backend (expected name=ws://host:port): ${spec}`);
+  return { name: match[1], url: match[2] };
+}
+
+function loadBackends(argv = process.argv.slice(2), env = process.env) {
+  const options = parseCliOptions(argv);
+  const host = options.host || env.BRIDGE_HOST || 'localhost';
+  const port = options.port || env.BRIDGE_PORT || 8765;
+  const specs = options.backends.length
+    ? options.backends
+    : (env.BRIDGE_BACKENDS || '').split(',').filter(spec => spec.trim());
+
+  const backends = specs.length
+    ? specs.map(parseBackend)
+    : [
+      { name: 'extension', url: `ws://${host}:${port}` },
+      { name: 'cc', url: `ws://${host}:${env.CC_BRIDGE_PORT || 8766}` }
+    ];
+  const defaultBackend = options.defaultBackend || env.BRIDGE_DEFAULT_BACKEND || backends[0].name;
+  if (!backends.some(backend => backend.name === defaultBackend)) {
+    throw new Error(`Unknown default backend: ${defaultBackend}`);
+  }
+  return {
+    backends,
+    defaultBackend,
+    token: options.token || env.BRIDGE_TOKEN || undefined
+  };
+}
+
+let CONFIG;
+try {
+  CONFIG = loadBackends();
+} catch (error) {
+  console.error(`[MCP] ${error.message}`);
+  process.exit(1);
+}
+// 複数ブラウザ接続時の送信先（未設定なら接続が1つのときのみ動作）
+const BRIDGE_BROWSER = process.env.BRIDGE_BROWSER || undefined;
+// chrome_list_backends で到達確認を打ち切るまでの時間
+const PROBE_TIMEOUT_MS = 3000;
+
+// 全ツール共通の送信先の引数
+const BACKEND = {
+  type: 'string',
+  enum: CONFIG.backends.map(backend => backend.name),
+  description: `送信先のバックエンド（省略で ${CONFIG.defaultBackend}。一覧は chrome_list_backends）`
+};
+
+// 画像を返すツールの追加引数（ファイル保存は MCP 側で行う）
+const OUTPUT_PATH = {
+  type: 'string',
+  description: '画像を返す代わりにこのファイルに保存する（.png / .jpg / .webp）'
+};
+
+// スクリーンショットの結果を MCP の image コンテンツにする（ファイル保存時はパスをテキストで返す）
+function imageResult(result) {
+  if (result.path) {
+    return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+  }
+  const [, mimeType, data] = /^data:([^;]+);base64,(.*)$/s.exec(result.dataUrl);
+  return { content: [{ type: 'image', data, mimeType }] };
+}
 
-const WS_URL = 'ws://localhost:8765';
+// ブリッジのコマンドから生成するツール（commands.js）
+// 画像を返すコマンドには outputPath を足し、説明に返り値の形を書き添える
+function commandTools() {
+  return mcpTools().map(tool => {
+    if (!COMMANDS[commandForTool(tool.name)].image) return tool;
+    return {
+      ...tool,
+      description: `${tool.description}。画像として返す。大きいページは maxWidth / JPEG で縮小するとコンテキストを節約できる。outputPath 指定時はファイルに保存してパスを返す`,
+      inputSchema: {
+        ...tool.inputSchema,
+        properties: { ...tool.inputSchema.properties, outputPath: OUTPUT_PATH }
+      }
+    };
+  });
+}
+
+// コマンドを組み合わせた MCP 専用のツール
+const SCREENSHOT_OPTIONS = Object.fromEntries(
+  Object.entries(COMMANDS.screenshot.params).filter(([key]) => key !== 'selector' && key !== 'fullPage')
+);
+const COMPOSITE_TOOLS = [
+  {
+    name: 'chrome_screenshot_element',
+    description: '要素1つの範囲だけをスクリーンショットして画像として返す',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        selector: { type: 'string', description: 'CSSセレクタまたはXPath' },
+        ...SCREENSHOT_OPTIONS,
+        outputPath: OUTPUT_PATH
+      },
+      required: ['selector']
+    }
+  },
+  {
+    name: 'chrome_screenshot_full_page',
+    description: 'ページ全体（スクロール領域を含む）をスクリーンショットして画像として返す。縦長になるので maxHeight か JPEG を推奨',
+    inputSchema: {
+      type: 'object',
+      properties: { ...SCREENSHOT_OPTIONS, outputPath: OUTPUT_PATH }
+    }
+  },
+  {
+    name: 'chrome_list_backends',
+    description: '設定されたバックエンド（拡張機能経由の Chrome / CC専用 Chrome 等）の一覧と、接続できるか・タブ数を取得',
+    inputSchema: { type: 'object', properties: {} }
+  }
+];
+
+// --- リソース ---
+// chrome://tabs と chrome://tab/{id}/console|network|text を公開する
+// resources/subscribe されたら bridge の subscribe でイベントを受け、
+// 変化のたびに notifications/resources/updated を送る（ポーリング不要）
+const TABS_URI = 'chrome://tabs';
+const TAB_RESOURCES = {
+  console: {
+    command: 'readConsole',
+    events: ['console'],
+    mimeType: 'application/json',
+    description: 'タブのコンソールログ（chrome_read_console と同じ形式）'
+  },
+  network: {
+    command: 'readNetwork',
+    events: ['network'],
+    mimeType: 'application/json',
+    description: 'タブのネットワークログ（chrome_read_network と同じ形式）'
+  },
+  text: {
+    command: 'getText',
+    events: ['navigation'],
+    mimeType: 'text/plain',
+    description: 'タブのページテキスト（読み込み完了ごとに更新。長いページは chrome_get_text と同じ文字数で切る）'
+  }
+};
+// コンソール等が連続で出たときに通知をまとめる間隔
+const UPDATE_DEBOUNCE_MS = 250;
+// 切断後に購読を張り直すまでの間隔
+const RESUBSCRIBE_DELAY_MS = 3000;
+
+function tabResourceUri(tabId, kind) {
+  return `chrome://tab/${encodeURIComponent(tabId)}/${kind}`;
+}
+
+// URI を { kind, tabId } にする（chrome://tabs は kind: 'tabs'）
+function parseResourceUri(uri) {
+  if (uri === TABS_URI) return { kind: 'tabs' };
+  const match = /^chrome:\/\/tab\/([^/]+)\/([a-z]+)$/.exec(uri);
+  if (!match || !TAB_RESOURCES[match[2]]) {
+    throw new BridgeError(ErrorCodes.INVALID_PARAMS, `Unknown resource: ${uri}`);
+  }
+  return { kind: match[2], tabId: parseTabId(decodeURIComponent(match[1])) };
+}
+
+// テキストのリソースは本文だけ返すので、削った場合は続きの読み方を末尾に付ける
+function pageTextResource(result) {
+  if (!result.truncated) return result.text;
+  return `${result.text}\n\n[truncated: ${result.nextCursor} / ${result.length} chars. ` +
+    `Read the rest with ${toolName('getText')} (cursor: ${result.nextCursor})]`;
+}
 
 class ChromeBridgeMCP {
   constructor() {
     this.server = new Server(
       { name: 'chrome-bridge', version: '2.0.0' },
-      { capabilities: { tools: {} } }
+      { capabilities: { tools: {}, resources: { subscribe: true } } }
     );
+    // バックエンドごとに1本の接続を使い回す（最初の呼び出しで張り、切断されたら次の呼び出しで張り直す）
+    this.bridges = new Map(CONFIG.backends.map(({ name, url }) => [
+      name, new ChromeBridge({ url, token: CONFIG.token, browser: BRIDGE_BROWSER })
+    ]));
+    // リソースは既定のバックエンドのものを公開する
+    this.bridge = this.bridges.get(CONFIG.defaultBackend);
+    // 購読中のリソース URI -> bridge の subscriptionId（張り直し待ちは null）
+    this.resourceSubscriptions = new Map();
+    this.pendingUpdates = new Map(); // URI -> 通知のタイマー
+    this.resubscribeTimer = null;
     this.setupTools();
+    this.setupResources();
   }
 
-  async sendCommand(command, params = {}) {
-    return new Promise((resolve, reject) => {
-      const ws = new WebSocket(WS_URL);
-      let resolved = false;
+  setupTools() {
+    this.server.setRequestHandler(ListToolsRequestSchema, async () => ({
+      tools: [...commandTools(), ...COMPOSITE_TOOLS].map(tool => tool.name === 'chrome_list_backends' ? tool : {
+        ...tool,
+        inputSchema: {
+          ...tool.inputSchema,
+          properties: { ...tool.inputSchema.properties, backend: BACKEND }
+        }
+      })
+    }));
 
-      ws.on('open', () => {
-        ws.send(JSON.stringify({ command, params }));
-      });
+    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
+      const { name, arguments: args = {} } = request.params;
 
-      ws.on('message', (data) => {
-        if (!resolved) {
-          resolved = true;
-          const response = JSON.parse(data.toString());
-          ws.close();
-          if (response.error) {
-            reject(new Error(response.error));
-          } else {
-            resolve(response.result);
-          }
-        }
-      });
+      try {
+        const result = await this.callTool(name, args);
+        if (this.returnsImage(name)) return imageResult(result);
+        const toText = COMMANDS[commandForTool(name)]?.toText;
+        const text = toText ? toText(result) : JSON.stringify(result, null, 2);
+        return { content: [{ type: 'text', text }] };
+      } catch (error) {
+        // エラーコードを先頭に付け、エージェントが失敗理由で分岐できるようにする
+        const code = error.code || ErrorCodes.INTERNAL_ERROR;
+        return { content: [{ type: 'text', text: `Error [${code}]: ${error.message}` }], isError: true };
+      }
+    });
+  }
 
-      ws.on('error', (error) => {
-        if (!resolved) {
-          resolved = true;
-          reject(error);
-        }
+  returnsImage(name) {
+    if (name === 'chrome_screenshot_element' || name === 'chrome_screenshot_full_page') return true;
+    return Boolean(COMMANDS[commandForTool(name)]?.image);
+  }
+
+  bridgeFor(backend = CONFIG.defaultBackend) {
+    const bridge = this.bridges.get(backend);
+    if (!bridge) {
+      throw new BridgeError(ErrorCodes.INVALID_PARAMS,
+        `Unknown backend: ${backend} (available: ${[...this.bridges.keys()].join(', ')})`);
+    }
+    return bridge;
+  }
+
+  async callTool(name, { backend, ...args }) {
+    if (name === 'chrome_list_backends') return this.listBackends();
+
+    const bridge = this.bridgeFor(backend);
+    switch (name) {
+      case 'chrome_screenshot_element':
+        return bridge.screenshot(args);
+      case 'chrome_screenshot_full_page':
+        return bridge.screenshot({ ...args, fullPage: true });
+    }
+
+    const command = commandForTool(name);
+    if (!command) {
+      throw new BridgeError(ErrorCodes.UNKNOWN_COMMAND, `Unknown tool: ${name}`);
+    }
+    if (COMMANDS[command].image) {
+      return bridge.takeScreenshot(command, args);
+    }
+    return runCommand(bridge, command, { ...COMMANDS[command].mcpDefaults, ...args });
+  }
+
+  // サーバーに繋がるか、その先のブラウザがタブを返すかを確認する
+  async listBackends() {
+    const backends = await Promise.all(CONFIG.backends.map(async ({ name, url }) => {
+      const entry = { name, url, default: name === CONFIG.defaultBackend, reachable: false };
+      const bridge = this.bridges.get(name);
+      let timer;
+      const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new BridgeError(ErrorCodes.TIMEOUT, 'Connection timed out')), PROBE_TIMEOUT_MS);
       });
+      try {
+        await Promise.race([bridge.connect(), timeout]);
+        entry.reachable = true;
+        entry.tabs = (await bridge.getTabs({ timeout: PROBE_TIMEOUT_MS })).length;
+      } catch (error) {
+        entry.error = `[${error.code || ErrorCodes.INTERNAL_ERROR}] ${error.message}`;
+      } finally {
+        clearTimeout(timer);
+      }
+      return entry;
+    }));
+    return { backends };
+  }
 
-      setTimeout(() => {
-        if (!resolved) {
-          resolved = true;
-          ws.close();
-          reject(new Error('Timeout'));
+  setupResources() {
+    this.server.setRequestHandler(ListResourcesRequestSchema, async () => {
+      const resources = [{
+        uri: TABS_URI, name: 'タブ一覧', mimeType: 'application/json', description: '開いているタブの一覧'
+      }];
+      let tabs = [];
+      try {
+        tabs = await this.bridge.getTabs();
+      } catch {
+        // ブラウザ未接続でもタブ一覧のリソースだけは返す
+      }
+      for (const tab of tabs) {
+        for (const [kind, def] of Object.entries(TAB_RESOURCES)) {
+          resources.push({
+            uri: tabResourceUri(tab.id, kind),
+            name: `${tab.title || tab.url} (${kind})`,
+            mimeType: def.mimeType,
+            description: def.description
+          });
         }
-      }, 30000);
+      }
+      return { resources };
     });
-  }
 
-  setupTools() {
-    this.server.setRequestHandler('tools/list', async () => ({
-      tools: [
-        // --- ナビゲーション ---
-        {
-          name: 'chrome_navigate',
-          description: 'URLを開く',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              url: { type: 'string', description: '開くURL' }
-            },
-            required: ['url']
-          }
-        },
-        {
-          name: 'chrome_new_tab',
-          description: '新しいタブを開く',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              url: { type: 'string', description: '開くURL（省略でabout:blank）' }
-            }
-          }
-        },
-        {
-          name: 'chrome_get_tabs',
-          description: '全タブの一覧を取得',
-          inputSchema: { type: 'object', properties: {} }
-        },
-        {
-          name: 'chrome_switch_tab',
-          description: 'タブを切り替え',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              tabId: { type: 'number', description: 'タブID' }
-            },
-            required: ['tabId']
-          }
-        },
-
-        // --- CDP経由のページ操作（メインワールド実行） ---
-        {
-          name: 'chrome_evaluate',
-          description: 'ページのメインワールドでJavaScriptを実行（CSPバイパス）。window.selectize等のページAPIに直接アクセス可能。',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              script: { type: 'string', description: '実行するJavaScript' },
-              awaitPromise: { type: 'boolean', description: 'Promiseをawaitするか（デフォルト: true）' },
-              timeout: { type: 'number', description: 'タイムアウトms（デフォルト: 10000）' }
-            },
-            required: ['script']
-          }
-        },
-        {
-          name: 'chrome_cdp_click',
-          description: 'CDP経由のネイティブクリック。OS級のマウスイベントを送信する。',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              selector: { type: 'string', description: 'CSSセレクタまたはXPath' },
-              x: { type: 'number', description: 'X座標（セレクタ省略時）' },
-              y: { type: 'number', description: 'Y座標（セレクタ省略時）' }
-            }
-          }
-        },
-        {
-          name: 'chrome_cdp_type',
-          description: 'CDP経由のネイティブテキスト入力。Selectize等のkeydownリスナーが正しく反応する。',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              selector: { type: 'string', description: 'CSSセレクタまたはXPath' },
-              text: { type: 'string', description: '入力するテキスト' },
-              clear: { type: 'boolean', description: '既存テキストをクリアするか（デフォルト: true）' },
-              pressEnter: { type: 'boolean', description: 'Enterキーを押すか' }
-            },
-            required: ['text']
-          }
-        },
-
-        // --- Content Script経由の操作（フォールバック） ---
-        {
-          name: 'chrome_click',
-          description: 'Content Script経由のクリック（DOM操作）',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              selector: { type: 'string', description: 'CSSセレクタまたはXPath' }
-            },
-            required: ['selector']
-          }
-        },
-        {
-          name: 'chrome_type',
-          description: 'Content Script経由のテキスト入力（DOM操作）',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              selector: { type: 'string', description: 'CSSセレクタまたはXPath' },
-              text: { type: 'string', description: '入力するテキスト' },
-              pressEnter: { type: 'boolean', description: 'Enterを押すか' }
-            },
-            required: ['selector', 'text']
-          }
-        },
-
-        // --- 情報取得 ---
-        {
-          name: 'chrome_get_text',
-          description: 'ページまたは要素のテキストを取得',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              selector: { type: 'string', description: 'CSSセレクタ（省略でページ全体）' }
-            }
-          }
-        },
-        {
-          name: 'chrome_get_element',
-          description: '要素の詳細情報を取得（タグ、属性、位置、テキスト）',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              selector: { type: 'string', description: 'CSSセレクタまたはXPath' }
-            },
-            required: ['selector']
-          }
-        },
-        {
-          name: 'chrome_get_elements',
-          description: '複数要素を取得（一覧表示用）',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              selector: { type: 'string', description: 'CSSセレクタまたはXPath' },
-              limit: { type: 'number', description: '最大件数（デフォルト: 100）' }
-            },
-            required: ['selector']
-          }
-        },
-        {
-          name: 'chrome_get_html',
-          description: '要素のHTMLを取得',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              selector: { type: 'string', description: 'CSSセレクタ（省略でページ全体）' },
-              outer: { type: 'boolean', description: 'outerHTML（デフォルト: false=innerHTML）' }
-            }
-          }
-        },
-        {
-          name: 'chrome_wait_for_element',
-          description: '要素が出現するまで待機',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              selector: { type: 'string', description: 'CSSセレクタまたはXPath' },
-              timeout: { type: 'number', description: 'タイムアウトms（デフォルト: 10000）' }
-            },
-            required: ['selector']
-          }
-        },
-
-        // --- スクリーンショット ---
-        {
-          name: 'chrome_screenshot',
-          description: 'スクリーンショットを撮る',
-          inputSchema: {
-            type: 'object',
-            properties: {}
-          }
-        },
-
-        // --- ページ情報 ---
-        {
-          name: 'chrome_get_page_info',
-          description: '現在のページ情報を取得',
-          inputSchema: {
-            type: 'object',
-            properties: {}
-          }
-        },
-
-        // --- コンソール・ネットワーク ---
-        {
-          name: 'chrome_read_console',
-          description: 'ブラウザコンソールのログを取得。エラー、警告、info等を確認できる。',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              limit: { type: 'number', description: '取得件数（デフォルト: 100）' },
-              clear: { type: 'boolean', description: '取得後にクリアするか' }
-            }
-          }
-        },
-        {
-          name: 'chrome_read_network',
-          description: 'ネットワークリクエスト/レスポンスのログを取得',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              limit: { type: 'number', description: '取得件数（デフォルト: 50）' },
-              clear: { type: 'boolean', description: '取得後にクリアするか' }
-            }
-          }
-        },
-
-        // --- HTML設定・ファイルアップロード ---
-        {
-          name: 'chrome_set_html',
-          description: 'contenteditable要素のHTMLを設定（Redactorエディタ対応）',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              selector: { type: 'string', description: 'CSSセレクタ' },
-              html: { type: 'string', description: '設定するHTML' }
-            },
-            required: ['selector', 'html']
-          }
-        },
-        {
-          name: 'chrome_upload_file',
-          description: 'ファイルをアップロード',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              filePath: { type: 'string', description: 'アップロードするファイルのパス' },
-              selector: { type: 'string', description: 'file input のセレクタ（省略で自動検出）' }
-            },
-            required: ['filePath']
-          }
-        },
-
-        // --- Web検索 ---
-        {
-          name: 'chrome_search_web',
-          description: 'Google検索を実行して結果テキストを取得',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              query: { type: 'string', description: '検索クエリ' }
-            },
-            required: ['query']
-          }
-        }
-      ]
+    this.server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({
+      resourceTemplates: Object.entries(TAB_RESOURCES).map(([kind, def]) => ({
+        uriTemplate: `chrome://tab/{id}/${kind}`,
+        name: `tab ${kind}`,
+        mimeType: def.mimeType,
+        description: def.description
+      }))
     }));
 
-    this.server.setRequestHandler('tools/call', async (request) => {
-      const { name, arguments: args } = request.params;
+    this.server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+      const { uri } = request.params;
+      const { kind, tabId } = parseResourceUri(uri);
+      if (kind === 'tabs') {
+        const tabs = await this.bridge.getTabs();
+        return { contents: [{ uri, mimeType: 'application/json', text: JSON.stringify(tabs, null, 2) }] };
+      }
+      const def = TAB_RESOURCES[kind];
+      // ツールと同じく maxChars 等は MCP 用のデフォルト（コンテキストを溢れさせない）
+      const result = await this.bridge.send(def.command, { ...COMMANDS[def.command].mcpDefaults, tabId });
+      const text = kind === 'text' ? pageTextResource(result) : JSON.stringify(result, null, 2);
+      return { contents: [{ uri, mimeType: def.mimeType, text }] };
+    });
 
+    this.server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+      const { uri } = request.params;
+      parseResourceUri(uri);
+      if (this.resourceSubscriptions.has(uri)) return {};
+      this.resourceSubscriptions.set(uri, null);
       try {
-        let result;
-        switch (name) {
-          // ナビゲーション
-          case 'chrome_navigate':
-            result = await this.sendCommand('navigate', { url: args.url });
-            break;
-          case 'chrome_new_tab':
-            result = await this.sendCommand('newTab', { url: args.url });
-            break;
-          case 'chrome_get_tabs':
-            result = await this.sendCommand('getTabs', {});
-            break;
-          case 'chrome_switch_tab':
-            result = await this.sendCommand('switchTab', { tabId: args.tabId });
-            break;
-
-          // CDP経由の操作
-          case 'chrome_evaluate':
-            result = await this.sendCommand('evaluate', {
-              script: args.script,
-              awaitPromise: args.awaitPromise,
-              timeout: args.timeout
-            });
-            break;
-          case 'chrome_cdp_click':
-            result = await this.sendCommand('cdpClick', {
-              selector: args.selector,
-              x: args.x,
-              y: args.y
-            });
-            break;
-          case 'chrome_cdp_type':
-            result = await this.sendCommand('cdpType', {
-              selector: args.selector,
-              text: args.text,
-              clear: args.clear,
-              pressEnter: args.pressEnter
-            });
-            break;
-
-          // Content Script経由
-          case 'chrome_click':
-            result = await this.sendCommand('click', { selector: args.selector });
-            break;
-          case 'chrome_type':
-            result = await this.sendCommand('type', {
-              selector: args.selector,
-              text: args.text,
-              pressEnter: args.pressEnter || false
-            });
-            break;
-
-          // 情報取得
-          case 'chrome_get_text':
-            result = await this.sendCommand('getText', { selector: args.selector });
-            break;
-          case 'chrome_get_element':
-            result = await this.sendCommand('getElement', { selector: args.selector });
-            break;
-          case 'chrome_get_elements':
-            result = await this.sendCommand('getElements', {
-              selector: args.selector,
-              limit: args.limit
-            });
-            break;
-          case 'chrome_get_html':
-            result = await this.sendCommand('getHtml', {
-              selector: args.selector,
-              outer: args.outer
-            });
-            break;
-          case 'chrome_wait_for_element':
-            result = await this.sendCommand('waitForElement', {
-              selector: args.selector,
-              timeout: args.timeout
-            });
-            break;
-
-          // スクリーンショット
-          case 'chrome_screenshot':
-            result = await this.sendCommand('screenshot', {});
-            break;
-
-          // ページ情報
-          case 'chrome_get_page_info':
-            result = await this.sendCommand('getPageInfo', {});
-            break;
-
-          // コンソール・ネットワーク
-          case 'chrome_read_console':
-            result = await this.sendCommand('readConsole', {
-              limit: args.limit,
-              clear: args.clear
-            });
-            break;
-          case 'chrome_read_network':
-            result = await this.sendCommand('readNetwork', {
-              limit: args.limit,
-              clear: args.clear
-            });
-            break;
-
-          // HTML設定
-          case 'chrome_set_html':
-            result = await this.sendCommand('setHtml', {
-              selector: args.selector,
-              html: args.html
-            });
-            break;
-
-          // ファイルアップロード
-          case 'chrome_upload_file': {
-            const fs = require('fs');
-            const path = require('path');
-            const filePath = args.filePath;
-
-            if (!fs.existsSync(filePath)) {
-              throw new Error(`File not found: ${filePath}`);
-            }
-
-            const fileBuffer = fs.readFileSync(filePath);
-            const ext = path.extname(filePath).toLowerCase();
-            const mimeTypes = {
-              '.png': 'image/png', '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg',
-              '.gif': 'image/gif', '.webp': 'image/webp', '.pdf': 'application/pdf',
-              '.zip': 'application/zip', '.csv': 'text/csv', '.txt': 'text/plain'
-            };
-
-            result = await this.sendCommand('uploadFile', {
-              data: fileBuffer.toString('base64'),
-              filename: path.basename(filePath),
-              mimeType: mimeTypes[ext] || 'application/octet-stream',
-              selector: args.selector
-            });
-            break;
-          }
-
-          // Web検索
-          case 'chrome_search_web':
-            await this.sendCommand('navigate', {
-              url: `https://www.google.com/search?q=${encodeURIComponent(args.query)}`
-            });
-            await new Promise(r => setTimeout(r, 2000));
-            result = await this.sendCommand('getText', {});
-            break;
-
-          default:
-            throw new Error(`Unknown tool: ${name}`);
-        }
-        return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+        await this.subscribeResource(uri);
       } catch (error) {
-        return { content: [{ type: 'text', text: `Error: ${error.message}` }], isError: true };
+        this.resourceSubscriptions.delete(uri);
+        throw error;
       }
+      return {};
     });
+
+    this.server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+      const { uri } = request.params;
+      const subscriptionId = this.resourceSubscriptions.get(uri);
+      this.resourceSubscriptions.delete(uri);
+      clearTimeout(this.pendingUpdates.get(uri));
+      this.pendingUpdates.delete(uri);
+      if (subscriptionId) await this.bridge.unsubscribe(subscriptionId).catch(() => {});
+      return {};
+    });
+
+    this.bridge.on('event', (message) => this.handleBridgeEvent(message));
+    // 拡張機能やサーバーが切断されると購読は消えるので、少し待って張り直す
+    this.bridge.on('subscriptionEnded', () => this.handleSubscriptionsLost());
+    this.bridge.on('close', () => this.handleSubscriptionsLost());
+  }
+
+  async subscribeResource(uri) {
+    const { kind, tabId } = parseResourceUri(uri);
+    const events = kind === 'tabs' ? ['tabs'] : TAB_RESOURCES[kind].events;
+    const { subscriptionId } = await this.bridge.subscribe(events, { tabId });
+    if (this.resourceSubscriptions.has(uri)) {
+      this.resourceSubscriptions.set(uri, subscriptionId);
+    } else {
+      // 待っている間に resources/unsubscribe された
+      await this.bridge.unsubscribe(subscriptionId).catch(() => {});
+    }
+  }
+
+  handleBridgeEvent(message) {
+    // ページテキストは読み込みが終わってから変わったことにする
+    if (message.event === 'navigation' && message.data?.phase !== 'completed') return;
+    for (const [uri, subscriptionId] of this.resourceSubscriptions) {
+      if (subscriptionId === message.subscriptionId) this.notifyUpdated(uri);
+    }
+  }
+
+  notifyUpdated(uri) {
+    if (this.pendingUpdates.has(uri)) return;
+    this.pendingUpdates.set(uri, setTimeout(() => {
+      this.pendingUpdates.delete(uri);
+      this.server.sendResourceUpdated({ uri }).catch(() => {});
+    }, UPDATE_DEBOUNCE_MS));
+  }
+
+  handleSubscriptionsLost() {
+    for (const uri of this.resourceSubscriptions.keys()) this.resourceSubscriptions.set(uri, null);
+    this.scheduleResubscribe();
+  }
+
+  scheduleResubscribe() {
+    if (this.resubscribeTimer || this.resourceSubscriptions.size === 0) return;
+    this.resubscribeTimer = setTimeout(async () => {
+      this.resubscribeTimer = null;
+      for (const [uri, subscriptionId] of this.resourceSubscriptions) {
+        if (subscriptionId) continue;
+        try {
+          await this.subscribeResource(uri);
+          // 切断中の変化は取りこぼしているので、読み直してもらう
+          this.notifyUpdated(uri);
+        } catch {
+          this.scheduleResubscribe();
+          return;
+        }
+      }
+    }, RESUBSCRIBE_DELAY_MS);
+    this.resubscribeTimer.unref();
   }
 
   async run() {
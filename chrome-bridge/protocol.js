@@ -0,0 +1,69 @@
+/**
+ * Bridge プロトコル共通定義
+ *
+ * server.js / server-cc.js / client.js / mcp-server.js で共有する。
+ * Chrome 拡張機能側（extension/）は Node モジュールを読めないため同じ値を個別に持つ。
+ */
+
+// コマンドの既定タイムアウト（ms）
+const DEFAULT_TIMEOUT = 30000;
+// 経路上の余裕。下流（拡張機能・サーバー）のタイムアウトが先に発火し、
+// 上流には TIMEOUT エラーとして届くようにする
+const TIMEOUT_MARGIN = 2000;
+
+// コマンド全体のタイムアウトを決定
+// 明示的な timeout を優先し、なければ params.timeout（waitForElement / evaluate の待機時間）
+// より長く待つ。どちらもなければ既定値
+function resolveTimeout(timeout, params = {}) {
+  if (Number.isFinite(timeout) && timeout > 0) return timeout;
+  if (Number.isFinite(params?.timeout) && params.timeout > 0) {
+    return Math.max(DEFAULT_TIMEOUT, params.timeout + TIMEOUT_MARGIN);
+  }
+  return DEFAULT_TIMEOUT;
+}
+
+// エラーレスポンスの機械可読コード（{ id, error, code } の code）
+// 拡張機能の background.js / content.js にも同じ値を定義している
+const ErrorCodes = Object.freeze({
+  ELEMENT_NOT_FOUND: 'ELEMENT_NOT_FOUND',
+  NO_TAB: 'NO_TAB',
+  DEBUGGER_ATTACH_FAILED: 'DEBUGGER_ATTACH_FAILED',
+  TIMEOUT: 'TIMEOUT',
+  NOT_CONNECTED: 'NOT_CONNECTED',
+  CANCELLED: 'CANCELLED',
+  UNAUTHORIZED: 'UNAUTHORIZED',
+  BROWSER_NOT_FOUND: 'BROWSER_NOT_FOUND',
+  UNKNOWN_COMMAND: 'UNKNOWN_COMMAND',
+  INVALID_PARAMS: 'INVALID_PARAMS',
+  EVALUATION_FAILED: 'EVALUATION_FAILED',
+  CONTENT_SCRIPT_UNAVAILABLE: 'CONTENT_SCRIPT_UNAVAILABLE',
+  NAVIGATION_FAILED: 'NAVIGATION_FAILED',
+  // 検索結果の代わりに同意画面・CAPTCHA が出た（search.js）
+  SEARCH_BLOCKED: 'SEARCH_BLOCKED',
+  // alert / confirm / prompt 等のダイアログが開いていてページが応答しない
+  DIALOG_OPEN: 'DIALOG_OPEN',
+  INTERNAL_ERROR: 'INTERNAL_ERROR'
+});
+
+class BridgeError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'BridgeError';
+    this.code = code;
+  }
+}
+
+// エラーレスポンスを組み立てる（code のないエラーは INTERNAL_ERROR 扱い）
+function errorResponse(id, error) {
+  return { id, error: error.message, code: error.code || ErrorCodes.INTERNAL_ERROR };
+}
+
+// レスポンスの error / code から BridgeError を復元
+function toBridgeError(response) {
+  return new BridgeError(response.code || ErrorCodes.INTERNAL_ERROR, response.error);
+}
+
+module.exports = {
+  DEFAULT_TIMEOUT, TIMEOUT_MARGIN, resolveTimeout,
+  ErrorCodes, BridgeError, errorResponse, toBridgeError
+};
@@ -0,0 +1,257 @@
+/**
+ * Claude Code Chrome Bridge - Script Runner
+ *
+ * JSON / YAML に書いた手順を1本の接続で順に実行する（node client.js run flow.yaml）
+ *
+ * スクリプト形式:
+ *   vars:                      # 変数（--var key=value で上書き可能）
+ *     base: https://itch.io
+ *   continueOnError: false     # 全ステップの既定値（ステップごとに上書き可能）
+ *   steps:
+ *     - command: navigate
+ *       params: { url: "${base}/login", waitUntil: load }
+ *     - command: cdpType
+ *       params: { selector: "input[name=password]", text: "${env.ITCH_PASSWORD}" }
+ *     - name: タイトル確認
+ *       command: evaluate
+ *       params: { script: document.title }
+ *       capture: { title: result }          # 結果のパスを変数に保存（以降 ${title} で参照）
+ *       expect: { result: { contains: itch } }
+ *       retries: 2                          # 失敗時の再試行回数
+ *       retryDelay: 1000
+ *       continueOnError: true               # 失敗しても続行（終了コードに影響しない）
+ *
+ * expect のマッチャー: 値そのもの（完全一致）/ equals / contains / matches / exists / gt / gte / lt / lte
+ * パスはドット区切り（requests.0.url）。'$' は結果全体
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { BridgeError, ErrorCodes } = require('./protocol');
+
+const DEFAULT_RETRY_DELAY = 1000;
+const MATCHERS = ['equals', 'contains', 'matches', 'exists', 'gt', 'gte', 'lt', 'lte'];
+
+// --- 読み込み ---
+
+function loadScript(file) {
+  const text = fs.readFileSync(file, 'utf-8');
+  let script;
+  if (/\.ya?ml$/i.test(file)) {
+    // YAML を使うときだけ読み込む
+    script = require('yaml').parse(text);
+  } else {
+    script = JSON.parse(text);
+  }
+
+  // 手順の配列だけのファイルも受け付ける
+  if (Array.isArray(script)) script = { steps: script };
+  if (!script || !Array.isArray(script.steps)) {
+    throw new BridgeError(ErrorCodes.INVALID_PARAMS, `${file}: "steps" must be an array`);
+  }
+  script.steps.forEach((step, i) => {
+    if (!step || typeof step.command !== 'string') {
+      throw new BridgeError(ErrorCodes.INVALID_PARAMS, `${file}: step ${i + 1} has no "command"`);
+    }
+  });
+  script.name = script.name || path.basename(file);
+  return script;
+}
+
+// --- 変数・パス ---
+
+function getPath(value, keyPath) {
+  if (keyPath === '$' || keyPath === '') return value;
+  return keyPath.split('.').reduce((current, key) => current?.[key], value);
+}
+
+// 文字列中の ${name} を置換する。文字列全体が ${name} なら値の型をそのまま残す
+function interpolate(value, vars) {
+  if (typeof value === 'string') {
+    const whole = value.match(/^\$\{([^}]+)\}$/);
+    if (whole) return lookupVar(vars, whole[1]);
+    return value.replace(/\$\{([^}]+)\}/g, (_, name) => {
+      const resolved = lookupVar(vars, name);
+      return typeof resolved === 'object' ? JSON.stringify(resolved) : String(resolved);
+    });
+  }
+  if (Array.isArray(value)) return value.map(v => interpolate(v, vars));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, interpolate(v, vars)]));
+  }
+  return value;
+}
+
+function lookupVar(vars, name) {
+  const value = getPath(vars, name.trim());
+  if (value === undefined) {
+    throw new BridgeError(ErrorCodes.INVALID_PARAMS, `Undefined variable: ${name}`);
+  }
+  return value;
+}
+
+// --- expect ---
+
+function isMatcher(expected) {
+  return expected && typeof expected === 'object' && !Array.isArray(expected) &&
+    Object.keys(expected).length > 0 && Object.keys(expected).every(k => MATCHERS.includes(k));
+}
+
+function isEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// 満たさない条件の説明を返す（満たせば null）
+function checkExpectation(actual, expected) {
+  if (!isMatcher(expected)) {
+    return isEqual(actual, expected) ? null : `expected ${JSON.stringify(expected)}`;
+  }
+  const failures = [];
+  for (const [matcher, operand] of Object.entries(expected)) {
+    let ok;
+    switch (matcher) {
+      case 'equals':
+        ok = isEqual(actual, operand);
+        break;
+      case 'contains':
+        ok = Array.isArray(actual)
+          ? actual.some(item => isEqual(item, operand))
+          : typeof actual === 'string' && actual.includes(String(operand));
+        break;
+      case 'matches':
+        ok = typeof actual === 'string' && new RegExp(operand).test(actual);
+        break;
+      case 'exists':
+        ok = (actual !== undefined && actual !== null) === Boolean(operand);
+        break;
+      case 'gt':
+        ok = actual > operand;
+        break;
+      case 'gte':
+        ok = actual >= operand;
+        break;
+      case 'lt':
+        ok = actual < operand;
+        break;
+      case 'lte':
+        ok = actual <= operand;
+        break;
+    }
+    if (!ok) failures.push(`${matcher} ${JSON.stringify(operand)}`);
+  }
+  return failures.length ? `expected ${failures.join(', ')}` : null;
+}
+
+function assertExpectations(result, expect) {
+  for (const [keyPath, expected] of Object.entries(expect)) {
+    const actual = getPath(result, keyPath);
+    const failure = checkExpectation(actual, expected);
+    if (failure) {
+      const error = new Error(`${keyPath}: ${failure}, got ${JSON.stringify(actual)}`);
+      error.code = 'EXPECTATION_FAILED';
+      throw error;
+    }
+  }
+}
+
+// --- 実行 ---
+
+function stepLabel(step, params) {
+  if (step.name) return step.name;
+  const detail = params?.url || params?.selector || params?.script || '';
+  return detail ? `${step.command} ${String(detail).slice(0, 60)}` : step.command;
+}
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+async function runStep(step, script, vars, send) {
+  const retries = step.retries ?? script.retries ?? 0;
+  const retryDelay = step.retryDelay ?? script.retryDelay ?? DEFAULT_RETRY_DELAY;
+  let lastError;
+
+  for (let attempt = 1; attempt <= retries + 1; attempt++) {
+    try {
+      // 再試行のたびに変数を解決し直す
+      const params = interpolate(step.params || {}, vars);
+      const result = await send(step.command, params, {
+        timeout: step.timeout ?? script.timeout,
+        browser: step.browser ?? script.browser
+      });
+      if (step.expect) assertExpectations(result, step.expect);
+      return { result, attempts: attempt };
+    } catch (error) {
+      lastError = error;
+      lastError.attempts = attempt;
+      // 変数の未定義は再試行しても直らない
+      if (error.code === ErrorCodes.INVALID_PARAMS) break;
+      if (attempt <= retries) await sleep(retryDelay);
+    }
+  }
+  throw lastError;
+}
+
+// send(command, params, options) はコマンド結果を返す Promise
+// onStep は各ステップ終了時に呼ばれる（進捗表示用）
+async function runScript(script, send, { vars: overrides = {}, onStep = () => {} } = {}) {
+  const vars = { env: process.env, ...script.vars, ...overrides };
+  const steps = [];
+  let aborted = false;
+
+  for (const [i, step] of script.steps.entries()) {
+    const report = { index: i + 1, command: step.command, label: stepLabel(step, step.params) };
+
+    if (aborted) {
+      report.status = 'skipped';
+    } else {
+      const startedAt = Date.now();
+      try {
+        report.label = stepLabel(step, interpolate(step.params || {}, vars));
+      } catch {
+        // 未定義の変数は runStep でエラーとして報告する
+      }
+      try {
+        const { result, attempts } = await runStep(step, script, vars, send);
+        report.status = 'passed';
+        report.attempts = attempts;
+        report.result = result;
+        captureVars(step.capture, result, vars);
+      } catch (error) {
+        const continueOnError = step.continueOnError ?? script.continueOnError ?? false;
+        report.status = continueOnError ? 'ignored' : 'failed';
+        report.attempts = error.attempts;
+        report.error = { code: error.code, message: error.message };
+        if (!continueOnError) aborted = true;
+      }
+      report.duration = Date.now() - startedAt;
+    }
+
+    steps.push(report);
+    onStep(report);
+  }
+
+  const count = (status) => steps.filter(s => s.status === status).length;
+  return {
+    name: script.name,
+    ok: count('failed') === 0,
+    passed: count('passed'),
+    failed: count('failed'),
+    ignored: count('ignored'),
+    skipped: count('skipped'),
+    steps,
+    vars: Object.fromEntries(Object.entries(vars).filter(([k]) => k !== 'env'))
+  };
+}
+
+// capture: 'name'（結果全体）または { name: 'path' }
+function captureVars(capture, result, vars) {
+  if (!capture) return;
+  if (typeof capture === 'string') {
+    vars[capture] = result;
+    return;
+  }
+  for (const [name, keyPath] of Object.entries(capture)) {
+    vars[name] = getPath(result, keyPath);
+  }
+}
+
+module.exports = { loadScript, runScript, interpolate, getPath };
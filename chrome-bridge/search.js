@@ -0,0 +1,188 @@
+/**
+ * Web 検索
+ *
+ * 検索エンジンの結果ページを開き、エンジンごとの抽出スクリプトで
+ * { title, url, snippet, rank } の配列にする（body.innerText を丸ごと返さない）。
+ * 同意画面・CAPTCHA に当たったら SEARCH_BLOCKED エラーにする。
+ *
+ *   const { searchWeb } = require('./search');
+ *   const { results } = await searchWeb(bridge, 'chrome devtools protocol', { engine: 'bing', page: 2 });
+ *
+ * エンジンを足すときは ENGINES に url（検索URL）と extract（ページ内で評価する式）を追加する。
+ */
+
+const { ErrorCodes, BridgeError } = require('./protocol');
+
+const DEFAULT_ENGINE = 'google';
+const MAX_PAGES = 5;
+const SNIPPET_LIMIT = 300;
+
+// 抽出スクリプト共通のヘルパー（ページ内で評価される）
+// blocked: 'consent' / 'captcha' / null、results: [{ title, url, snippet }]
+const EXTRACT_HELPERS = `
+  const text = (el) => (el?.innerText || '').replace(/\\s+/g, ' ').trim();
+  const snippet = (el) => text(el).slice(0, ${SNIPPET_LIMIT});
+  // リダイレクト用 URL（google の /url?q= や duckduckgo の /l/?uddg=）から本来のリンク先を取り出す
+  // 検索エンジンのホストのリダイレクト用パスだけ。結果の URL 自体の ?q= 等はそのまま返す
+  const unwrap = (href, param, host, path) => {
+    try {
+      const url = new URL(href, location.href);
+      if (!host.test(url.hostname) || url.pathname !== path) return url.href;
+      return url.searchParams.get(param) || url.href;
+    } catch (e) {
+      return href;
+    }
+  };
+`;
+
+const ENGINES = {
+  google: {
+    url: (query, page) =>
+      `https://www.google.com/search?q=${encodeURIComponent(query)}&start=${(page - 1) * 10}&hl=en`,
+    extract: `(() => {
+      ${EXTRACT_HELPERS}
+      if (location.hostname.startsWith('consent.') || document.querySelector('form[action*="consent.google"]')) {
+        return { blocked: 'consent', results: [] };
+      }
+      if (location.pathname.startsWith('/sorry') || document.querySelector('#captcha-form, iframe[src*="recaptcha"]')) {
+        return { blocked: 'captcha', results: [] };
+      }
+      const results = [];
+      for (const heading of document.querySelectorAll('#search a h3')) {
+        const link = heading.closest('a');
+        const block = heading.closest('div.g, div[data-hveid], div[data-sokoban-container]');
+        const url = unwrap(link.href, 'q', /(^|\\.)google\\.[a-z.]+$/, '/url');
+        if (!/^https?:/.test(url) || results.some(r => r.url === url)) continue;
+        results.push({
+          title: text(heading),
+          url,
+          snippet: snippet(block?.querySelector('.VwiC3b, [data-sncf], [style*="-webkit-line-clamp"]'))
+        });
+      }
+      return { blocked: null, results };
+    })()`
+  },
+
+  bing: {
+    url: (query, page) =>
+      `https://www.bing.com/search?q=${encodeURIComponent(query)}&first=${(page - 1) * 10 + 1}`,
+    extract: `(() => {
+      ${EXTRACT_HELPERS}
+      if (/captcha|challenge|turing/i.test(location.pathname) || document.querySelector('#b_captcha, iframe[src*="challenges"]')) {
+        return { blocked: 'captcha', results: [] };
+      }
+      if (!document.querySelector('#b_results') && document.querySelector('#bnp_container, form[action*="consent"]')) {
+        return { blocked: 'consent', results: [] };
+      }
+      // クリック計測用の /ck/a?...&u=a1<base64url> から本来のリンク先を取り出す
+      const bingUrl = (href) => {
+        const url = unwrap(href, 'u', /(^|\.)bing\.com$/, '/ck/a');
+        if (!url.startsWith('a1')) return url;
+        try {
+          const base64 = url.slice(2).replace(/-/g, '+').replace(/_/g, '/');
+          const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+          return new TextDecoder().decode(Uint8Array.from(binary, c => c.charCodeAt(0)));
+        } catch (e) {
+          return href;
+        }
+      };
+      const results = [];
+      for (const item of document.querySelectorAll('#b_results > li.b_algo')) {
+        const link = item.querySelector('h2 a');
+        if (!link) continue;
+        const url = bingUrl(link.href);
+        if (!/^https?:/.test(url) || results.some(r => r.url === url)) continue;
+        results.push({
+          title: text(link),
+          url,
+          snippet: snippet(item.querySelector('.b_caption p, .b_lineclamp2, .b_lineclamp3, .b_algoSlug'))
+        });
+      }
+      return { blocked: null, results };
+    })()`
+  },
+
+  // JavaScript なしの HTML 版（広告・動的読み込みがなく安定して取れる）
+  duckduckgo: {
+    url: (query, page) =>
+      `https://html.duckduckgo.com/html/?q=${encodeURIComponent(query)}&s=${(page - 1) * 30}&dc=${(page - 1) * 30 + 1}`,
+    extract: `(() => {
+      ${EXTRACT_HELPERS}
+      if (document.querySelector('.anomaly-modal__title, #challenge-form, form[action*="anomaly"]')) {
+        return { blocked: 'captcha', results: [] };
+      }
+      const results = [];
+      for (const item of document.querySelectorAll('.result:not(.result--ad)')) {
+        const link = item.querySelector('a.result__a');
+        if (!link) continue;
+        results.push({
+          title: text(link),
+          url: unwrap(link.href, 'uddg', /(^|\\.)duckduckgo\\.com$/, '/l/'),
+          snippet: snippet(item.querySelector('.result__snippet'))
+        });
+      }
+      return { blocked: null, results };
+    })()`
+  }
+};
+
+// 1ページ分を取得
+async function searchPage(bridge, engine, query, page, options) {
+  const { url } = await bridge.navigate(ENGINES[engine].url(query, page), {
+    ...options, waitUntil: 'load'
+  });
+  const { result } = await bridge.evaluate(ENGINES[engine].extract, options);
+  if (result?.blocked) {
+    throw new BridgeError(ErrorCodes.SEARCH_BLOCKED,
+      `${engine} showed a ${result.blocked} page instead of results${url ? `: ${url}` : ''}`);
+  }
+  return result?.results || [];
+}
+
+/**
+ * @param {import('./bridge').ChromeBridge} bridge
+ * @param {string} query
+ * @param {object} [options]
+ * @param {string} [options.engine]  google / bing / duckduckgo（デフォルト: google）
+ * @param {number} [options.page]    開始ページ（1始まり）
+ * @param {number} [options.pages]   取得するページ数（最大 5）
+ * @param {number} [options.limit]   最大件数
+ * その他の options（tabId / timeout 等）は navigate / evaluate にそのまま渡す
+ */
+async function searchWeb(bridge, query, { engine = DEFAULT_ENGINE, page = 1, pages = 1, limit, ...options } = {}) {
+  if (!query) throw new BridgeError(ErrorCodes.INVALID_PARAMS, 'query is required');
+  if (!ENGINES[engine]) {
+    throw new BridgeError(ErrorCodes.INVALID_PARAMS,
+      `Unknown search engine: ${engine} (available: ${Object.keys(ENGINES).join(', ')})`);
+  }
+  page = Math.max(1, Math.floor(page));
+  pages = Math.min(MAX_PAGES, Math.max(1, Math.floor(pages)));
+
+  const results = [];
+  let nextPage = null;
+  for (let current = page; current < page + pages; current++) {
+    const found = await searchPage(bridge, engine, query, current, options);
+    // 結果のないページで打ち切り（それ以上の続きはない）
+    if (found.length === 0) {
+      nextPage = null;
+      break;
+    }
+    nextPage = current + 1;
+    for (const result of found) {
+      // ページをまたいだ重複は除く
+      if (results.some(r => r.url === result.url)) continue;
+      results.push({ ...result, rank: results.length + 1, page: current });
+    }
+    if (limit && results.length >= limit) break;
+  }
+
+  return {
+    engine,
+    query,
+    page,
+    nextPage,
+    results: limit ? results.slice(0, limit) : results
+  };
+}
+
+module.exports = { searchWeb, ENGINES, DEFAULT_ENGINE };
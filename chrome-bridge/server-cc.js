@@ -9,10 +9,34 @@
  * なぜ別サーバーが必要か:
  * chrome-bridgeはChrome拡張を経由するが、CC専用ChromeにはCDP直接接続する。
  * 拡張のインストール不要で動作する。
+ *
+ * 操作対象のタブ（CDPターゲット）は params で選べる:
+ *   tabId: 'ターゲットID' / target: { id, url: '*itch.io*', title: 'Dashboard' }
+ * 指定がなければ直近に使ったターゲット（初回は先頭のページ）を使う。
+ *
+ * コマンド・レスポンスは拡張機能版（background.js の handleCommand）と同じ形式。
+ * CC_BRIDGE_PORT=8766 node client.js ... でそのまま切り替えられる。
  */
 
 const WebSocket = require('ws');
 const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { loadEnv } = require('./env');
+const { authenticate, warnIfUnauthenticated } = require('./auth');
+const {
+    DEFAULT_TIMEOUT, resolveTimeout, ErrorCodes, BridgeError, errorResponse
+} = require('./protocol');
+// chrome.* に依存しない処理（拡張機能の background.js と共通）
+const {
+    CONSOLE_LIMIT, consoleApiEntry, exceptionEntry, browserLogEntry, consoleFilter, updateNetworkEntries,
+    networkSummary, matchesNetworkFilter, pageEntries, parseRef, ELEMENT_INFO_FUNCTION, elementClipExpression,
+    formatAXTree, screenshotDownscale, NAVIGATION_WAIT_STATES, NETWORK_IDLE_MS, matchesUrlPattern, createRoute,
+    fetchPatterns, routeRequest, DIALOG_BLOCKED_METHODS, createDialogState, dialogOpenError, recordDialogOpening,
+    recordDialogHandled, recordDialogClosed, createDialogPolicy, dialogPolicyResponse, dialogInfo
+} = require('./extension/shared');
+
+loadEnv();
 
 const PORT = parseInt(process.env.CC_BRIDGE_PORT || '8766');
 const CDP_PORT = parseInt(process.env.CDP_PORT || '9223');
@@ -26,76 +50,1164 @@ const wss = new WebSocket.Server({ host: HOST, port: PORT });
 
 console.log(`[CC-Server] WebSocket サーバー起動: ws://localhost:${PORT}`);
 console.log(`[CC-Server] CDP接続先: http://${WINDOWS_HOST}:${CDP_PORT}`);
+warnIfUnauthenticated(HOST, 'CC-Server');
+
+// --- CDP ターゲット ---
 
-// CDP WebSocket接続を取得
-async function getCDPTarget() {
+// /json/close 等はJSONではなくテキストを返すため text: true で生の文字列を受け取る
+function fetchJSON(urlPath, { method = 'GET', text = false } = {}) {
     return new Promise((resolve, reject) => {
-        const req = http.get(`http://${WINDOWS_HOST}:${CDP_PORT}/json`, (res) => {
+        const req = http.request(`http://${WINDOWS_HOST}:${CDP_PORT}${urlPath}`, { method }, (res) => {
             let data = '';
             res.on('data', chunk => data += chunk);
             res.on('end', () => {
-                try {
-                    const targets = JSON.parse(data);
-                    const page = targets.find(t => t.type === 'page');
-                    if (page) resolve(page.webSocketDebuggerUrl);
-                    else reject(new Error('No page target found'));
-                } catch (e) { reject(e); }
+                if (text) return resolve(data);
+                try { resolve(JSON.parse(data)); } catch (e) { reject(e); }
             });
         });
-        req.on('error', reject);
+        req.end();
+        req.on('error', (e) => {
+            reject(new BridgeError(ErrorCodes.NOT_CONNECTED, `CDP に接続できません (${WINDOWS_HOST}:${CDP_PORT}): ${e.message}`));
+        });
     });
 }
 
-// CDPコマンド実行
-async function executeCDP(method, params = {}) {
-    const wsUrl = await getCDPTarget();
-    return new Promise((resolve, reject) => {
-        const ws = new WebSocket(wsUrl);
-        const id = Date.now();
-        ws.on('open', () => {
-            ws.send(JSON.stringify({ id, method, params }));
+async function listPageTargets() {
+    const targets = await fetchJSON('/json');
+    return targets.filter(t => t.type === 'page');
+}
+
+// params からターゲット指定を取り出す
+// tabId / target: 'ID' / target: { id, url, title } のいずれか
+function targetSelector(params = {}) {
+    const target = params.target ?? params.tabId;
+    if (target === undefined || target === null || target === '') return null;
+    if (typeof target === 'object') return target;
+    return { id: String(target) };
+}
+
+function describeSelector(selector) {
+    return Object.entries(selector).map(([k, v]) => `${k}=${v}`).join(', ');
+}
+
+function findTarget(targets, selector) {
+    return targets.find(t => {
+        if (selector.id && t.id !== selector.id) return false;
+        if (selector.url && !matchesUrlPattern(t.url, selector.url)) return false;
+        if (selector.title && !t.title.toLowerCase().includes(selector.title.toLowerCase())) return false;
+        return true;
+    });
+}
+
+// --- CDP セッション ---
+// ターゲットごとに1本の WebSocket を張り続け、有効化したドメインや
+// イベントのバッファをコマンド間で保持する。ターゲットが閉じたらセッションも破棄する
+class CDPSession {
+    constructor(target) {
+        this.target = target;
+        this.ws = null;
+        this.nextId = 0;
+        this.pending = new Map(); // id -> { resolve, reject, timer, method }
+        this.eventHandlers = [];
+        this.closed = false;
+        // readConsole / readNetwork 用のバッファ（拡張機能版と同じ件数上限）
+        this.consoleMessages = [];
+        this.networkRequests = [];
+        // addRoute のルート（セッションが閉じれば Fetch ごと消える）
+        this.routes = [];
+        // content.js を評価した isolated world（Promise<executionContextId>）と、そのコンテキストの ID
+        this.contentWorld = null;
+        this.contentContextId = null;
+        // 開いている JavaScript ダイアログ・ダイアログのポリシー・直近のダイアログ
+        this.dialogState = createDialogState();
+    }
+
+    connect(timeout = DEFAULT_TIMEOUT) {
+        return new Promise((resolve, reject) => {
+            const ws = new WebSocket(this.target.webSocketDebuggerUrl, { perMessageDeflate: false });
+            const timer = setTimeout(() => {
+                ws.terminate();
+                reject(new BridgeError(ErrorCodes.TIMEOUT, `CDP connect timeout (${timeout}ms)`));
+            }, timeout);
+
+            ws.on('open', () => {
+                clearTimeout(timer);
+                this.ws = ws;
+                resolve(this);
+            });
+            ws.on('message', (data) => this.handleMessage(JSON.parse(data.toString())));
+            ws.on('error', (e) => {
+                clearTimeout(timer);
+                if (!this.ws) {
+                    reject(new BridgeError(ErrorCodes.NOT_CONNECTED, `CDP session failed: ${e.message}`));
+                }
+            });
+            ws.on('close', () => this.handleClose());
         });
-        ws.on('message', (data) => {
-            const msg = JSON.parse(data.toString());
-            if (msg.id === id) {
-                ws.close();
-                resolve(msg.result || msg.error);
+    }
+
+    handleMessage(msg) {
+        if (msg.id !== undefined) {
+            const pending = this.pending.get(msg.id);
+            if (!pending) return;
+            clearTimeout(pending.timer);
+            this.pending.delete(msg.id);
+            if (msg.error) {
+                pending.reject(new BridgeError(ErrorCodes.INTERNAL_ERROR, `${pending.method}: ${msg.error.message}`));
+            } else {
+                pending.resolve(msg.result);
             }
+            return;
+        }
+
+        // ターゲットが閉じられた・クラッシュした
+        if (msg.method === 'Inspector.detached' || msg.method === 'Inspector.targetCrashed') {
+            this.close();
+            return;
+        }
+        for (const handler of this.eventHandlers) handler(msg.method, msg.params);
+    }
+
+    handleClose() {
+        if (this.closed) return;
+        this.closed = true;
+        sessions.delete(this.target.id);
+        for (const { reject, timer } of this.pending.values()) {
+            clearTimeout(timer);
+            reject(new BridgeError(ErrorCodes.NO_TAB, `Target closed: ${this.target.id}`));
+        }
+        this.pending.clear();
+        console.log(`[CC-Server] CDPセッション終了: ${this.target.id} (${this.target.url})`);
+    }
+
+    send(method, params = {}, timeout = DEFAULT_TIMEOUT) {
+        if (this.closed) {
+            return Promise.reject(new BridgeError(ErrorCodes.NO_TAB, `Target closed: ${this.target.id}`));
+        }
+        // ダイアログが開いている間はスクリプト実行・入力が返ってこないので、待たずに失敗させる
+        if (this.dialogState.dialog && DIALOG_BLOCKED_METHODS.test(method)) {
+            return Promise.reject(dialogOpenError(this.dialogState.dialog));
+        }
+        return new Promise((resolve, reject) => {
+            const id = ++this.nextId;
+            const timer = setTimeout(() => {
+                this.pending.delete(id);
+                reject(new BridgeError(ErrorCodes.TIMEOUT, `CDP timeout: ${method} (${timeout}ms)`));
+            }, timeout);
+            this.pending.set(id, { resolve, reject, timer, method });
+            this.ws.send(JSON.stringify({ id, method, params }));
+        });
+    }
+
+    onEvent(handler) {
+        this.eventHandlers.push(handler);
+    }
+
+    offEvent(handler) {
+        this.eventHandlers = this.eventHandlers.filter(h => h !== handler);
+    }
+
+    close() {
+        if (this.ws) this.ws.close();
+        this.handleClose();
+    }
+}
+
+const sessions = new Map(); // targetId -> CDPSession
+// 接続・ドメイン有効化中のセッション（同時に来たコマンドが別々に WebSocket を張らないように）
+const connectingSessions = new Map(); // targetId -> Promise<CDPSession>
+// ターゲット指定なしのコマンドが使う既定のターゲット（直近に選択したもの）
+let currentTargetId = null;
+
+// ターゲットを選択してセッションを返す（既存セッションがあれば再利用）
+async function getSession(params = {}, timeout = DEFAULT_TIMEOUT) {
+    const selector = targetSelector(params);
+
+    if (selector?.id && sessions.has(selector.id)) {
+        return useSession(sessions.get(selector.id));
+    }
+    if (!selector && currentTargetId && sessions.has(currentTargetId)) {
+        return useSession(sessions.get(currentTargetId));
+    }
+
+    const targets = await listPageTargets();
+    let target;
+    if (selector) {
+        target = findTarget(targets, selector);
+        if (!target) {
+            throw new BridgeError(ErrorCodes.NO_TAB, `No page target matches: ${describeSelector(selector)}`);
+        }
+    } else {
+        // 既定ターゲットが閉じられていたら先頭のページへフォールバック
+        target = targets.find(t => t.id === currentTargetId) || targets[0];
+        if (!target) throw new BridgeError(ErrorCodes.NO_TAB, 'No page target found');
+    }
+
+    if (sessions.has(target.id)) return useSession(sessions.get(target.id));
+
+    if (!connectingSessions.has(target.id)) {
+        connectingSessions.set(target.id, openSession(target, timeout)
+            .finally(() => connectingSessions.delete(target.id)));
+    }
+    return useSession(await connectingSessions.get(target.id));
+}
+
+async function openSession(target, timeout) {
+    const session = new CDPSession(target);
+    await session.connect(timeout);
+    sessions.set(target.id, session);
+    console.log(`[CC-Server] CDPセッション開始: ${target.id} (${target.url})`);
+
+    // 以降のコマンド・イベント収集のためにドメインを有効化（セッション中は維持される）
+    session.onEvent((method, eventParams) => collectEvent(session, method, eventParams));
+    await session.send('Page.enable', {}, timeout);
+    await session.send('Runtime.enable', {}, timeout);
+    await session.send('Log.enable', {}, timeout);
+    await session.send('Network.enable', { maxPostDataSize: 65536 }, timeout);
+    return session;
+}
+
+function useSession(session) {
+    currentTargetId = session.target.id;
+    return session;
+}
+
+// コンソール・ネットワークの収集（background.js の chrome.debugger.onEvent と同じ形式）
+// seq は readConsole / readNetwork の cursor に使う通し番号
+let logSeq = 0;
+
+function collectEvent(session, method, params) {
+    const tabId = session.target.id;
+
+    // content.js 自身のログはページのコンソールに含めない
+    if (method === 'Runtime.consoleAPICalled' && params.executionContextId !== session.contentContextId) {
+        recordConsoleEntry(session, consoleApiEntry(params));
+    }
+
+    if (method === 'Runtime.exceptionThrown') {
+        recordConsoleEntry(session, exceptionEntry(params));
+    }
+
+    if (method === 'Log.entryAdded') {
+        recordConsoleEntry(session, browserLogEntry(params.entry));
+    }
+
+    if (method.startsWith('Network.')) {
+        recordNetworkEvent(session, method, params);
+    }
+
+    if (method === 'Fetch.requestPaused') {
+        handleRequestPaused(session, params);
+    }
+
+    if (method === 'Page.javascriptDialogOpening') {
+        handleDialogOpening(session, params);
+    }
+
+    if (method === 'Page.javascriptDialogClosed') {
+        // 閉じた結果を記録（ユーザーが手で閉じた場合もここに来る）
+        recordDialogClosed(session.dialogState, params);
+    }
+
+    // content.js の isolated world はドキュメントが変わると消える（次のコマンドで作り直す）
+    if (method === 'Runtime.executionContextsCleared' ||
+        (method === 'Runtime.executionContextDestroyed' && params.executionContextId === session.contentContextId)) {
+        session.contentWorld = null;
+        session.contentContextId = null;
+    }
+
+    if (method === 'Page.frameNavigated' && !params.frame?.parentId) {
+        session.target.url = params.frame.url;
+        publishEvent('navigation', tabId, { phase: 'committed', url: params.frame.url });
+    }
+
+    if (method === 'Page.loadEventFired') {
+        publishEvent('navigation', tabId, { phase: 'completed', url: session.target.url });
+    }
+}
+
+// --- イベント購読 ---
+// 拡張機能版と同じ { type: 'event', subscriptionId, event, tabId, data, timestamp } を送る
+// tabs イベントは拡張機能の chrome.tabs API に依存するため CDP 直結では未対応
+const EVENT_TYPES = ['console', 'network', 'navigation'];
+const subscriptions = new Map(); // subscriptionId -> { ws, events: Set, tabId }
+let subscriptionCount = 0;
+
+function publishEvent(event, tabId, data) {
+    for (const [subscriptionId, sub] of subscriptions) {
+        if (!sub.events.has(event)) continue;
+        if (sub.tabId && sub.tabId !== tabId) continue;
+        if (sub.ws.readyState !== WebSocket.OPEN) continue;
+        sub.ws.send(JSON.stringify({ type: 'event', subscriptionId, event, tabId, data, timestamp: Date.now() }));
+    }
+}
+
+async function subscribe(ws, params, timeout) {
+    const events = params.events?.length ? params.events : EVENT_TYPES;
+    const unknown = events.filter(e => !EVENT_TYPES.includes(e));
+    if (unknown.length) {
+        throw new BridgeError(ErrorCodes.INVALID_PARAMS, `Unsupported event type on CDP server: ${unknown.join(', ')}`);
+    }
+    // イベントはセッションを張ったターゲットからしか届かない
+    const session = await getSession(params, timeout);
+    const subscriptionId = `cc-${++subscriptionCount}`;
+    const tabId = targetSelector(params) ? session.target.id : undefined;
+    subscriptions.set(subscriptionId, { ws, events: new Set(events), tabId });
+    return { subscriptionId, events, tabId: session.target.id };
+}
+
+// --- ページ操作 ---
+
+// Content Script（extension/content.js）をそのまま isolated world で評価して DOM 操作を行う
+// 拡張機能版と同じ実装・同じレスポンスを得るため。chrome.runtime は空のスタブで置き換える
+// 拡張機能の Content Script と同じく、ページのスクリプトからは handleAction も params も見えない
+// content.js はドキュメントごとに1回だけ評価し、コマンドごとには action と params だけ送る
+const CONTENT_SCRIPT = fs.readFileSync(path.join(__dirname, 'extension', 'content.js'), 'utf-8');
+const CONTENT_WORLD_NAME = 'chrome-bridge';
+const CONTENT_HANDLER = '__chromeBridgeHandleAction';
+// content.js の onMessage リスナー（拡張機能版と同じ { action: 'cancel' } で待機を止める）
+const CONTENT_MESSAGE_LISTENER = '__chromeBridgeOnMessage';
+const CONTENT_SCRIPT_INSTALLER = `(() => {
+    const chrome = { runtime: { onMessage: { addListener(listener) { window.${CONTENT_MESSAGE_LISTENER} = listener; } } } };
+    ${CONTENT_SCRIPT}
+    window.${CONTENT_HANDLER} = handleAction;
+})()`;
+
+// メインフレームの今のドキュメントに isolated world を作って content.js を入れる
+// 同時に来たコマンドが別々に作らないよう、作成中の Promise を共有する
+function contentWorld(session, timeout) {
+    if (!session.contentWorld) {
+        session.contentWorld = createContentWorld(session, timeout).catch(error => {
+            session.contentWorld = null;
+            session.contentContextId = null;
+            throw error;
         });
-        ws.on('error', reject);
-        setTimeout(() => { ws.close(); reject(new Error('CDP timeout')); }, 30000);
+    }
+    return session.contentWorld;
+}
+
+async function createContentWorld(session, timeout) {
+    const { frameTree } = await session.send('Page.getFrameTree', {}, timeout);
+    const { executionContextId } = await session.send('Page.createIsolatedWorld', {
+        frameId: frameTree.frame.id, worldName: CONTENT_WORLD_NAME
+    }, timeout);
+    // 評価中に出る content.js のログもコンソールから外せるよう、先に覚えておく
+    session.contentContextId = executionContextId;
+    const response = await session.send('Runtime.evaluate', {
+        expression: CONTENT_SCRIPT_INSTALLER, contextId: executionContextId
+    }, timeout);
+    if (response.exceptionDetails) {
+        throw new BridgeError(ErrorCodes.INTERNAL_ERROR, response.exceptionDetails.exception?.description ||
+            response.exceptionDetails.text);
+    }
+    return executionContextId;
+}
+
+// request.id はキャンセル時に content.js 側の待機を止めるために渡す
+async function executeInPage(action, params, timeout, request) {
+    const session = await getSession(params, timeout);
+    request.session = session;
+    const expression = `(async () => {
+    try {
+        return { ok: await window.${CONTENT_HANDLER}(${JSON.stringify(action)}, ${JSON.stringify(params)}, ${request.id}) };
+    } catch (error) {
+        return { error: error.message, code: error.code };
+    }
+})()`;
+    const evaluate = async () => session.send('Runtime.evaluate', {
+        expression, contextId: await contentWorld(session, timeout), returnByValue: true, awaitPromise: true
+    }, timeout);
+
+    let response;
+    try {
+        response = await evaluate();
+    } catch (error) {
+        // 遷移でコンテキストが消えた直後（executionContextsCleared より先に評価した）なら作り直して1回だけやり直す
+        if (error.code !== ErrorCodes.INTERNAL_ERROR || !/Cannot find context/i.test(error.message)) throw error;
+        session.contentWorld = null;
+        session.contentContextId = null;
+        response = await evaluate();
+    }
+
+    if (response.exceptionDetails) {
+        throw new BridgeError(ErrorCodes.INTERNAL_ERROR, response.exceptionDetails.exception?.description ||
+            response.exceptionDetails.text);
+    }
+    const value = response.result?.value || {};
+    if (value.error) throw new BridgeError(value.code || ErrorCodes.INTERNAL_ERROR, value.error);
+    return value.ok;
+}
+
+
+async function cdpEvaluate(params, timeout, request) {
+    // 旧API（params.expression）も受け付ける
+    const { script = params.expression, awaitPromise = true } = params;
+    const session = await getSession(params, timeout);
+    // キャンセル時に Runtime.terminateExecution を送る先
+    request.session = session;
+    const expression = `(function() {
+  'use strict';
+  try {
+    return eval(${JSON.stringify(script)});
+  } catch(e) {
+    throw e;
+  }
+})()`;
+
+    const result = await session.send('Runtime.evaluate', {
+        expression,
+        returnByValue: true,
+        awaitPromise,
+        timeout: params.timeout || 10000
+    }, timeout);
+
+    if (result.exceptionDetails) {
+        throw new BridgeError(
+            ErrorCodes.EVALUATION_FAILED,
+            result.exceptionDetails.exception?.description ||
+                result.exceptionDetails.text || 'Evaluation error'
+        );
+    }
+    return { result: result.result?.value ?? null };
+}
+
+// --- 要素の指定 ---
+// selector は CSS / XPath のほか、snapshot が返す ref=e123 も受け付ける（parseRef は shared.js）
+
+// 要素を引数に fn（関数のソース）をページ内で実行し、結果を返す
+// 要素がない（fn が null / false を返す）ときは ELEMENT_NOT_FOUND
+async function callOnElement(session, selector, fn, timeout) {
+    const backendNodeId = parseRef(selector);
+    let response;
+    if (backendNodeId) {
+        let objectId;
+        try {
+            ({ object: { objectId } } = await session.send('DOM.resolveNode', { backendNodeId }, timeout));
+        } catch {
+            throw new BridgeError(ErrorCodes.ELEMENT_NOT_FOUND, `Element not found: ${selector} (take a new snapshot)`);
+        }
+        response = await session.send('Runtime.callFunctionOn', {
+            objectId,
+            functionDeclaration: `function() { return (${fn})(this); }`,
+            returnByValue: true
+        }, timeout);
+    } else {
+        response = await session.send('Runtime.evaluate', {
+            expression: `(${fn})(document.querySelector(${JSON.stringify(selector)}) ||
+        document.evaluate(${JSON.stringify(selector)}, document, null, XPathResult.FIRST_ORDERED_NODE_TYPE, null).singleNodeValue)`,
+            returnByValue: true
+        }, timeout);
+    }
+
+    const value = response.result?.value;
+    if (value === null || value === undefined || value === false) {
+        throw new BridgeError(ErrorCodes.ELEMENT_NOT_FOUND, `Element not found: ${selector}`);
+    }
+    return value;
+}
+
+// 要素を画面中央へスクロールし、中心座標を返す
+function elementCenter(session, selector, timeout) {
+    return callOnElement(session, selector, `function(el) {
+      if (!el) return null;
+      el.scrollIntoView({ block: 'center', behavior: 'instant' });
+      const rect = el.getBoundingClientRect();
+      return { x: rect.x + rect.width / 2, y: rect.y + rect.height / 2 };
+    }`, timeout);
+}
+
+// ref 指定時の getElement（要素情報の形は shared.js）
+async function cdpGetElement(params, timeout) {
+    const session = await getSession(params, timeout);
+    try {
+        return await callOnElement(session, params.selector, ELEMENT_INFO_FUNCTION, timeout);
+    } catch (error) {
+        if (error.code === ErrorCodes.ELEMENT_NOT_FOUND) return { found: false };
+        throw error;
+    }
+}
+
+// --- アクセシビリティスナップショット ---
+// 整形（formatAXTree）は shared.js
+async function snapshot(params, timeout) {
+    const session = await getSession(params, timeout);
+    const { nodes } = await session.send('Accessibility.getFullAXTree', {}, timeout);
+    const { text, refs } = formatAXTree(nodes, params);
+    const page = await session.send('Runtime.evaluate', {
+        expression: '({ url: location.href, title: document.title })',
+        returnByValue: true
+    }, timeout);
+    return { ...page.result?.value, snapshot: text, refs };
+}
+
+async function cdpClick(params, timeout) {
+    const { x, y, selector, button = 'left', clickCount = 1 } = params;
+    const session = await getSession(params, timeout);
+
+    let clickX = x, clickY = y;
+    if (selector && (clickX === undefined || clickY === undefined)) {
+        ({ x: clickX, y: clickY } = await elementCenter(session, selector, timeout));
+    }
+
+    await session.send('Input.dispatchMouseEvent', { type: 'mouseMoved', x: clickX, y: clickY }, timeout);
+    await session.send('Input.dispatchMouseEvent', {
+        type: 'mousePressed', x: clickX, y: clickY, button, clickCount
+    }, timeout);
+    await session.send('Input.dispatchMouseEvent', {
+        type: 'mouseReleased', x: clickX, y: clickY, button, clickCount
+    }, timeout);
+
+    return { success: true, clicked: { x: clickX, y: clickY } };
+}
+
+async function cdpType(params, timeout) {
+    const { selector, text, clear = true, pressEnter = false } = params;
+    const session = await getSession(params, timeout);
+
+    if (selector) {
+        await callOnElement(session, selector, `function(el) {
+      if (!el) return false;
+      el.scrollIntoView({ block: 'center', behavior: 'instant' });
+      el.focus();
+      if (${!!clear} && 'value' in el) {
+        el.value = '';
+        el.dispatchEvent(new Event('input', { bubbles: true }));
+      } else if (${!!clear} && el.isContentEditable) {
+        el.innerHTML = '';
+        el.dispatchEvent(new Event('input', { bubbles: true }));
+      }
+      return true;
+    }`, timeout);
+    }
+
+    await session.send('Input.insertText', { text }, timeout);
+
+    if (pressEnter) {
+        for (const type of ['keyDown', 'keyUp']) {
+            await session.send('Input.dispatchKeyEvent', {
+                type, key: 'Enter', code: 'Enter',
+                windowsVirtualKeyCode: 13, nativeVirtualKeyCode: 13
+            }, timeout);
+        }
+    }
+
+    return { success: true, typed: text };
+}
+
+async function cdpScroll(params, timeout) {
+    const { x = 0, y = 0, deltaX = 0, deltaY = 0, selector } = params;
+    const session = await getSession(params, timeout);
+
+    if (selector) {
+        await elementCenter(session, selector, timeout);
+        return { success: true, scrolledTo: selector };
+    }
+
+    await session.send('Input.dispatchMouseEvent', {
+        type: 'mouseWheel',
+        x: x || 100, y: y || 100,
+        deltaX: deltaX || 0,
+        deltaY: deltaY || 300
+    }, timeout);
+
+    return { success: true, scrolled: { deltaX, deltaY } };
+}
+
+// fullPage / selector / scale / maxWidth / maxHeight は background.js の cdpCaptureScreenshot と同じ
+async function captureScreenshot(params, timeout) {
+    const { format = 'png', quality, fullPage = false, selector, scale, maxWidth, maxHeight } = params;
+    const session = await getSession(params, timeout);
+
+    let clip;
+    let beyondViewport = true;
+    if (selector) {
+        clip = await elementClip(session, selector, timeout);
+    } else if (fullPage || maxWidth || maxHeight) {
+        const metrics = await session.send('Page.getLayoutMetrics', {}, timeout);
+        if (fullPage) {
+            const { width, height } = metrics.cssContentSize || metrics.contentSize;
+            clip = { x: 0, y: 0, width, height };
+        } else {
+            const viewport = metrics.cssVisualViewport || metrics.visualViewport;
+            clip = { x: viewport.pageX, y: viewport.pageY, width: viewport.clientWidth, height: viewport.clientHeight };
+            beyondViewport = false;
+        }
+    }
+
+    if (scale) {
+        await session.send('Emulation.setDeviceMetricsOverride', {
+            width: 0, height: 0, deviceScaleFactor: scale, mobile: false
+        }, timeout);
+    }
+    try {
+        let size;
+        if (clip) {
+            const dpr = scale || (await session.send('Runtime.evaluate', {
+                expression: 'window.devicePixelRatio', returnByValue: true
+            }, timeout)).result?.value || 1;
+            clip.scale = screenshotDownscale(clip, dpr, maxWidth, maxHeight);
+            size = {
+                width: Math.round(clip.width * clip.scale * dpr),
+                height: Math.round(clip.height * clip.scale * dpr)
+            };
+        }
+
+        const result = await session.send('Page.captureScreenshot', {
+            format,
+            quality: format === 'png' ? undefined : (quality || 100),
+            ...(clip && { clip, captureBeyondViewport: beyondViewport })
+        }, timeout);
+        return { dataUrl: `data:image/${format};base64,${result.data}`, ...size };
+    } finally {
+        if (scale) await session.send('Emulation.clearDeviceMetricsOverride', {}, timeout).catch(() => {});
+    }
+}
+
+async function elementClip(session, selector, timeout) {
+    const rect = await session.send('Runtime.evaluate', {
+        expression: elementClipExpression(selector),
+        returnByValue: true
+    }, timeout);
+    const clip = rect.result?.value;
+    if (!clip) throw new BridgeError(ErrorCodes.ELEMENT_NOT_FOUND, `Element not found: ${selector}`);
+    if (!clip.width || !clip.height) {
+        throw new BridgeError(ErrorCodes.ELEMENT_NOT_FOUND, `Element has no visible area: ${selector}`);
+    }
+    return clip;
+}
+
+async function cdpUploadFile(params, timeout) {
+    const { selector, filePaths } = params;
+    const session = await getSession(params, timeout);
+
+    const doc = await session.send('DOM.getDocument', {}, timeout);
+    const node = await session.send('DOM.querySelector', {
+        nodeId: doc.root.nodeId,
+        selector: selector || 'input[type="file"]'
+    }, timeout);
+    if (!node.nodeId) throw new BridgeError(ErrorCodes.ELEMENT_NOT_FOUND, `File input not found: ${selector}`);
+
+    await session.send('DOM.setFileInputFiles', { nodeId: node.nodeId, files: filePaths }, timeout);
+    return { success: true, uploaded: filePaths };
+}
+
+// select: ページングの前にエントリを絞り込む・整形する（readNetwork のフィルタ）
+async function readBuffer(params, key, defaultLimit, timeout, select = entries => entries) {
+    const session = await getSession(params, timeout);
+    const { clear = false } = params;
+    const { entries, ...page } = pageEntries(select(session[key]), params, defaultLimit);
+    if (clear) session[key] = [];
+    return { result: entries, count: entries.length, ...page };
+}
+
+// --- コンソール記録 ---
+// エントリの形式は shared.js（consoleApiEntry / exceptionEntry / browserLogEntry）
+function recordConsoleEntry(session, entry) {
+    const msgs = session.consoleMessages;
+    entry.seq = ++logSeq;
+    msgs.push(entry);
+    // 最新500件に制限
+    if (msgs.length > CONSOLE_LIMIT) msgs.splice(0, msgs.length - CONSOLE_LIMIT);
+    publishEvent('console', session.target.id, entry);
+}
+
+// --- ネットワーク記録 ---
+// エントリの更新は shared.js の updateNetworkEntries。レスポンス・失敗のときだけイベントを送る
+function recordNetworkEvent(session, method, params) {
+    const updated = updateNetworkEntries(session.networkRequests, method, params, () => ++logSeq);
+    if (updated) publishEvent('network', session.target.id, networkSummary(updated));
+}
+
+// --- リクエストのルーティング（Fetch ドメイン） ---
+// ルートの検証・照合は shared.js（createRoute / routeRequest）
+let routeSeq = 0;
+
+async function addRoute(params, timeout) {
+    const fields = createRoute(params);
+    const session = await getSession(params, timeout);
+    const route = { id: `route${++routeSeq}`, ...fields };
+    session.routes.push(route);
+    await applyRoutes(session, timeout);
+    return { success: true, tabId: session.target.id, route };
+}
+
+// routeId を省略するとタブのルートを全部外す
+async function removeRoute(params, timeout) {
+    const session = await getSession(params, timeout);
+    const remaining = params.routeId ? session.routes.filter(route => route.id !== params.routeId) : [];
+    if (params.routeId && remaining.length === session.routes.length) {
+        throw new BridgeError(ErrorCodes.INVALID_PARAMS, `Route not found: ${params.routeId}`);
+    }
+
+    const removed = session.routes.length - remaining.length;
+    session.routes = remaining;
+    await applyRoutes(session, timeout);
+    return { success: true, tabId: session.target.id, removed };
+}
+
+async function listRoutes(params, timeout) {
+    const session = await getSession(params, timeout);
+    return { tabId: session.target.id, routes: session.routes };
+}
+
+// ルートのパターンだけ Fetch で止める（ルートがなくなれば無効化）
+async function applyRoutes(session, timeout) {
+    if (!session.routes.length) {
+        await session.send('Fetch.disable', {}, timeout);
+        return;
+    }
+    await session.send('Fetch.enable', { patterns: fetchPatterns(session.routes) }, timeout);
+}
+
+async function handleRequestPaused(session, params) {
+    try {
+        await session.send(...routeRequest(session.routes, params));
+    } catch (error) {
+        // 遷移・タブを閉じた等でリクエストが既になければ何もしない
+        console.warn('[CC-Server] Fetch.requestPaused:', error.message);
+    }
+}
+
+// --- JavaScript ダイアログ ---
+// 記録とポリシーは shared.js。manual（デフォルト）なら開いたままにして
+// 応答待ちの Runtime.evaluate 等を DIALOG_OPEN で失敗させる（handleDialog で閉じる）
+async function handleDialogOpening(session, params) {
+    const state = session.dialogState;
+    const dialog = recordDialogOpening(state, params);
+
+    const response = dialogPolicyResponse(state.policy);
+    if (response) {
+        await closeDialog(session, response, 'policy').catch(error => {
+            console.warn('[CC-Server] Page.handleJavaScriptDialog:', error.message);
+        });
+        return;
+    }
+
+    // 応答待ちのスクリプト実行・入力に理由を返す
+    for (const [id, pending] of session.pending) {
+        if (!DIALOG_BLOCKED_METHODS.test(pending.method)) continue;
+        clearTimeout(pending.timer);
+        session.pending.delete(id);
+        pending.reject(dialogOpenError(dialog));
+    }
+}
+
+async function closeDialog(session, response, handledBy, timeout) {
+    const dialog = session.dialogState.dialog;
+    await session.send('Page.handleJavaScriptDialog', response, timeout);
+    return recordDialogHandled(session.dialogState, dialog, response, handledBy);
+}
+
+// 開いているダイアログを閉じる。accept のデフォルトは true、prompt には promptText を入力
+async function handleDialog(params, timeout) {
+    const { accept = true, promptText } = params;
+    const session = await getSession(params, timeout);
+    try {
+        const dialog = await closeDialog(session, { accept, promptText }, 'handleDialog', timeout);
+        return { success: true, tabId: session.target.id, dialog };
+    } catch (error) {
+        if (error.code !== ErrorCodes.INTERNAL_ERROR) throw error;
+        throw new BridgeError(ErrorCodes.INVALID_PARAMS, `No dialog is open in ${session.target.id}: ${error.message}`);
+    }
+}
+
+// 以降に開くダイアログの扱い。開いているダイアログがあればそれにも適用する
+async function setDialogPolicy(params, timeout) {
+    const policy = createDialogPolicy(params);
+    const session = await getSession(params, timeout);
+    const state = session.dialogState;
+    state.policy = policy;
+    const response = dialogPolicyResponse(policy);
+    if (response && state.dialog) await closeDialog(session, response, 'policy', timeout);
+    return { success: true, tabId: session.target.id, policy };
+}
+
+// レスポンスボディ（ブラウザ側に残っている間だけ取れる）
+async function getResponseBody(params, timeout) {
+    const session = await getSession(params, timeout);
+    try {
+        return await session.send('Network.getResponseBody', { requestId: params.requestId }, timeout);
+    } catch (error) {
+        // タイムアウト等はそのまま、CDP のエラー（破棄済み・ボディなし）は引数の誤りとして返す
+        if (error.code !== ErrorCodes.INTERNAL_ERROR) throw error;
+        throw new BridgeError(ErrorCodes.INVALID_PARAMS, `No response body for ${params.requestId}: ${error.message}`);
+    }
+}
+
+// --- ナビゲーション ---
+// waitUntil: load / domcontentloaded / networkidle / URLパターン（background.js と同じ意味）
+// こちらは webNavigation の代わりに Page ドメインのイベントで進行を追う
+// signal: コマンドが中断されたら待機をやめる
+async function runNavigation(params, timeout, action, signal) {
+    const session = await getSession(params, timeout);
+
+    if (!params.waitUntil) {
+        await action(session);
+        return { success: true, tabId: session.target.id };
+    }
+
+    const waiter = await waitForNavigation(session, params, timeout, signal);
+    try {
+        const response = await action(session);
+        if (response?.errorText) {
+            throw new BridgeError(ErrorCodes.NAVIGATION_FAILED, `Navigation failed: ${response.errorText}`);
+        }
+        const result = await waiter.done;
+        return { success: true, tabId: session.target.id, ...result };
+    } finally {
+        waiter.stop();
+    }
+}
+
+async function waitForNavigation(session, { waitUntil, timeout: waitTimeout = DEFAULT_TIMEOUT }, timeout, signal) {
+    const { frameTree } = await session.send('Page.getFrameTree', {}, timeout);
+    const mainFrameId = frameTree.frame.id;
+    const urlPattern = NAVIGATION_WAIT_STATES.includes(waitUntil) ? null : waitUntil;
+    const state = { committed: false, loaded: false, url: null, status: null, redirects: [] };
+    const inflight = new Set();
+    let idleTimer = null;
+    let resolve, reject;
+    const done = new Promise((res, rej) => { resolve = res; reject = rej; });
+    // action の完了前にタイムアウトしてもプロセスを落とさない（結果は runNavigation が await する）
+    done.catch(() => {});
+
+    const finish = () => resolve({
+        url: state.url,
+        status: state.status,
+        redirects: state.redirects,
+        waitUntil
     });
+    const scheduleIdle = () => {
+        clearTimeout(idleTimer);
+        if (inflight.size === 0) idleTimer = setTimeout(finish, NETWORK_IDLE_MS);
+    };
+    // 同一ドキュメント内の遷移とロード完了は同じ扱い
+    const onLoaded = () => {
+        if (waitUntil === 'networkidle') {
+            state.loaded = true;
+            scheduleIdle();
+        } else if (!urlPattern) {
+            finish();
+        }
+    };
+
+    const handler = (method, params) => {
+        switch (method) {
+            case 'Page.frameNavigated':
+                if (params.frame.parentId) return;
+                state.committed = true;
+                state.url = params.frame.url;
+                if (urlPattern && matchesUrlPattern(state.url, urlPattern)) finish();
+                return;
+            case 'Page.navigatedWithinDocument':
+                if (params.frameId !== mainFrameId) return;
+                state.committed = true;
+                state.url = params.url;
+                if (urlPattern && matchesUrlPattern(state.url, urlPattern)) finish();
+                else onLoaded();
+                return;
+            case 'Page.domContentEventFired':
+                if (state.committed && waitUntil === 'domcontentloaded') finish();
+                return;
+            case 'Page.loadEventFired':
+                if (state.committed) onLoaded();
+                return;
+            case 'Network.requestWillBeSent':
+                inflight.add(params.requestId);
+                if (params.type === 'Document' && params.frameId === mainFrameId && params.redirectResponse) {
+                    state.redirects.push({ url: params.redirectResponse.url, status: params.redirectResponse.status });
+                }
+                return;
+            case 'Network.responseReceived':
+                if (params.type === 'Document' && params.frameId === mainFrameId) {
+                    state.status = params.response?.status;
+                }
+                return;
+            case 'Network.loadingFinished':
+            case 'Network.loadingFailed':
+                inflight.delete(params.requestId);
+                if (state.loaded) scheduleIdle();
+                return;
+        }
+    };
+    session.onEvent(handler);
+
+    const timer = setTimeout(() => {
+        reject(new BridgeError(ErrorCodes.TIMEOUT, `Navigation did not reach "${waitUntil}" within ${waitTimeout}ms`));
+    }, waitTimeout);
+    const onAbort = () => reject(signal.reason);
+    signal?.addEventListener('abort', onAbort);
+
+    return {
+        done,
+        stop() {
+            clearTimeout(timer);
+            clearTimeout(idleTimer);
+            session.offEvent(handler);
+            signal?.removeEventListener('abort', onAbort);
+        }
+    };
+}
+
+async function navigateHistory(params, delta, timeout, signal) {
+    return runNavigation(params, timeout, async (session) => {
+        const history = await session.send('Page.getNavigationHistory', {}, timeout);
+        const entry = history.entries[history.currentIndex + delta];
+        if (entry) {
+            await session.send('Page.navigateToHistoryEntry', { entryId: entry.id }, timeout);
+        } else if (params.waitUntil) {
+            // 待つべきナビゲーションが起きない
+            throw new BridgeError(ErrorCodes.NAVIGATION_FAILED, `No ${delta < 0 ? 'previous' : 'next'} history entry`);
+        }
+    }, signal);
+}
+
+// --- タブ管理 ---
+
+async function createTab(url) {
+    // 新しめの Chrome は /json/new に PUT を要求する
+    const target = await fetchJSON(`/json/new?${encodeURIComponent(url || 'about:blank')}`, { method: 'PUT' });
+    currentTargetId = target.id;
+    return { success: true, tabId: target.id };
+}
+
+async function closeTab(params) {
+    const tabId = params.tabId || currentTargetId || (await listPageTargets())[0]?.id;
+    if (!tabId) throw new BridgeError(ErrorCodes.NO_TAB, 'No page target found');
+    sessions.get(tabId)?.close();
+    await fetchJSON(`/json/close/${tabId}`, { text: true });
+    if (currentTargetId === tabId) currentTargetId = null;
+    return { success: true };
+}
+
+async function switchToTab(params) {
+    const targets = await listPageTargets();
+    if (!targets.some(t => t.id === params.tabId)) {
+        throw new BridgeError(ErrorCodes.NO_TAB, `Tab not found: ${params.tabId}`);
+    }
+    await fetchJSON(`/json/activate/${params.tabId}`, { text: true });
+    currentTargetId = params.tabId;
+    return { success: true };
+}
+
+async function getAllTabs() {
+    return (await listPageTargets()).map(t => ({
+        id: t.id,
+        url: t.url,
+        title: t.title,
+        active: t.id === currentTargetId
+    }));
+}
+
+async function getPageInfo(params, timeout) {
+    const session = await getSession(params, timeout);
+    const dialogs = dialogInfo(session.dialogState);
+    // ダイアログが開いている間は評価できないので、ターゲット一覧の値を返す
+    if (dialogs.dialog) {
+        return { tabId: session.target.id, url: session.target.url, title: session.target.title, ...dialogs };
+    }
+    const info = await session.send('Runtime.evaluate', {
+        expression: '({ url: location.href, title: document.title })',
+        returnByValue: true
+    }, timeout);
+    return { tabId: session.target.id, ...info.result?.value, ...dialogs };
+}
+
+// --- キャンセル管理 ---
+// クライアントから cancel が届いた・クライアントが切断したコマンドは中断する（background.js と同じ）
+// content.js の待機ループ・ナビゲーションの待機・実行中のスクリプトにも中断を伝える
+// request: { id（content.js に渡す通し番号）, command, controller, session（対象が決まれば入る） }
+let requestCount = 0;
+
+async function runCommand(ws, command, params, timeout, request) {
+    const { signal } = request.controller;
+    const aborted = new Promise((_, reject) => {
+        signal.addEventListener('abort', () => reject(signal.reason));
+    });
+    return Promise.race([handleCommand(ws, command, params, timeout, request), aborted]);
+}
+
+function cancelRequest(request, code, reason) {
+    if (request.controller.signal.aborted) return;
+    request.controller.abort(new BridgeError(code, reason));
+
+    const { session } = request;
+    if (!session || session.closed) return;
+    if (session.contentContextId) {
+        session.send('Runtime.evaluate', {
+            expression: `window.${CONTENT_MESSAGE_LISTENER}?.({ action: 'cancel', params: { requestId: ${request.id} } }, {}, () => {})`,
+            contextId: session.contentContextId
+        }).catch(() => {});
+    }
+    if (request.command === 'evaluate') {
+        session.send('Runtime.terminateExecution').catch(() => {});
+    }
+}
+
+// --- コマンドルーター ---
+// background.js の handleCommand と同じコマンド名・レスポンス形式
+async function handleCommand(ws, command, params, timeout, request) {
+    const { signal } = request.controller;
+    switch (command) {
+        // ナビゲーション
+        case 'navigate':
+            return await runNavigation(params, timeout,
+                session => session.send('Page.navigate', { url: params.url }, timeout), signal);
+        case 'newTab':
+            return await createTab(params.url);
+        case 'closeTab':
+            return await closeTab(params);
+        case 'getTabs':
+            return await getAllTabs();
+        case 'switchTab':
+            return await switchToTab(params);
+        case 'goBack':
+            return await navigateHistory(params, -1, timeout, signal);
+        case 'goForward':
+            return await navigateHistory(params, 1, timeout, signal);
+        case 'reload':
+            return await runNavigation(params, timeout,
+                session => session.send('Page.reload', {}, timeout), signal);
+
+        // CDP経由のページ操作
+        case 'evaluate':
+            return await cdpEvaluate(params, timeout, request);
+        case 'cdpClick':
+            return await cdpClick(params, timeout);
+        case 'cdpType':
+            return await cdpType(params, timeout);
+        case 'cdpScroll':
+            return await cdpScroll(params, timeout);
+        case 'snapshot':
+            return await snapshot(params, timeout);
+
+        // コンソール・ネットワーク
+        case 'readConsole': {
+            const { result, ...page } = await readBuffer(params, 'consoleMessages', 100, timeout,
+                entries => entries.filter(consoleFilter(params)));
+            return { messages: result, ...page };
+        }
+        case 'readNetwork': {
+            // ヘッダー・タイミング等は details 指定時だけ返す
+            const { result, ...page } = await readBuffer(params, 'networkRequests', 50, timeout, entries =>
+                entries.filter(entry => matchesNetworkFilter(entry, params))
+                    .map(entry => (params.details ? entry : networkSummary(entry))));
+            return { requests: result, ...page };
+        }
+        case 'getResponseBody':
+            return await getResponseBody(params, timeout);
+        case 'addRoute':
+            return await addRoute(params, timeout);
+        case 'removeRoute':
+            return await removeRoute(params, timeout);
+        case 'listRoutes':
+            return await listRoutes(params, timeout);
+        case 'handleDialog':
+            return await handleDialog(params, timeout);
+        case 'setDialogPolicy':
+            return await setDialogPolicy(params, timeout);
+
+        // DOM操作（content.js を評価）
+        case 'click':
+        case 'type':
+        case 'scroll':
+        case 'getElements':
+        case 'getText':
+        case 'getHtml':
+        case 'extractContent':
+        case 'getAttribute':
+        case 'waitForElement':
+        case 'uploadFile':
+        case 'setHtml':
+            return await executeInPage(command, params, timeout, request);
+        case 'getElement':
+            // snapshot の ref は CDP でしか引けない
+            if (parseRef(params.selector)) return await cdpGetElement(params, timeout);
+            return await executeInPage(command, params, timeout, request);
+
+        case 'cdpUploadFile':
+            return await cdpUploadFile(params, timeout);
+
+        // スクリーンショット（CDP直結ではどちらも Page.captureScreenshot）
+        case 'screenshot':
+        case 'cdpScreenshot':
+            return await captureScreenshot(params, timeout);
+
+        case 'getPageInfo':
+            return await getPageInfo(params, timeout);
+
+        // イベント購読
+        case 'subscribe':
+            return await subscribe(ws, params, timeout);
+        case 'unsubscribe':
+            return { success: subscriptions.delete(params.subscriptionId), subscriptionId: params.subscriptionId };
+
+        // セッション制御（拡張機能版のデバッガー制御に相当）
+        case 'debuggerAttach': {
+            const session = await getSession(params, timeout);
+            return { success: true, tabId: session.target.id };
+        }
+        case 'debuggerDetach': {
+            const session = await getSession(params, timeout);
+            session.close();
+            return { success: true, tabId: session.target.id };
+        }
+
+        default:
+            throw new BridgeError(ErrorCodes.UNKNOWN_COMMAND, `Unknown command: ${command}`);
+    }
 }
 
 wss.on('connection', (ws) => {
     console.log('[CC-Server] クライアント接続');
+    // 実行中のコマンド（クライアント側の id -> request）
+    ws.activeRequests = new Map();
 
     ws.on('message', async (data) => {
+        let msg = {};
         try {
-            const msg = JSON.parse(data.toString());
-            const { command, params } = msg;
-            let result;
+            msg = JSON.parse(data.toString());
 
-            switch (command) {
-                case 'navigate':
-                    result = await executeCDP('Page.navigate', { url: params.url });
-                    break;
-                case 'evaluate':
-                    result = await executeCDP('Runtime.evaluate', {
-                        expression: params.expression,
-                        returnByValue: true
-                    });
-                    break;
-                case 'screenshot':
-                    result = await executeCDP('Page.captureScreenshot', { format: 'png' });
-                    break;
-                default:
-                    result = { error: `Unknown command: ${command}` };
+            // 認証（BRIDGE_TOKEN 設定時のみ）。未認証なら切断済み
+            if (!authenticate(ws, msg)) {
+                console.warn('[CC-Server] 認証失敗のため接続を拒否しました');
+                return;
+            }
+            if (msg.type === 'auth') {
+                ws.send(JSON.stringify({ type: 'auth', success: true }));
+                return;
+            }
+            // 実行中のコマンドの中断（id はクライアント側の id）
+            if (msg.type === 'cancel') {
+                const request = ws.activeRequests.get(msg.id);
+                if (request) cancelRequest(request, ErrorCodes.CANCELLED, 'Request cancelled');
+                return;
             }
 
-            ws.send(JSON.stringify({ result }));
+            const { command, params = {} } = msg;
+            const timeout = resolveTimeout(msg.timeout, params);
+            const request = { id: ++requestCount, command, controller: new AbortController(), session: null };
+            if (msg.id !== undefined) ws.activeRequests.set(msg.id, request);
+            let result;
+            try {
+                result = await runCommand(ws, command, params, timeout, request);
+            } finally {
+                if (ws.activeRequests.get(msg.id) === request) ws.activeRequests.delete(msg.id);
+            }
+
+            ws.send(JSON.stringify({ id: msg.id, result }));
         } catch (e) {
-            ws.send(JSON.stringify({ error: e.message }));
+            ws.send(JSON.stringify(errorResponse(msg.id, e)));
+        }
+    });
+
+    ws.on('close', () => {
+        // 結果を受け取る相手がいないので、待機中のコマンドは止める
+        for (const request of ws.activeRequests.values()) {
+            cancelRequest(request, ErrorCodes.CANCELLED, 'Client disconnected');
+        }
+        for (const [subscriptionId, sub] of subscriptions) {
+            if (sub.ws === ws) subscriptions.delete(subscriptionId);
         }
     });
 });
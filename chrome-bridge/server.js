@@ -11,21 +11,50 @@
  *   node client.js navigate "https://example.com"
  *   node client.js click "#submit-button"
  *   node client.js type "#search-input" "検索テキスト"
+ *
+ * 複数の Chrome を接続している場合:
+ *   node client.js listBrowsers
+ *   node client.js --browser work navigate "https://example.com"
+ *
+ * HTTP（同じポート、curl 等のシェルスクリプト向け）:
+ *   curl -X POST localhost:8765/command -d '{"command":"getTabs"}'
+ *   curl localhost:8765/status
+ *   curl -o shot.png localhost:8765/screenshot.png
+ *   ※ BRIDGE_TOKEN 設定時は -H "Authorization: Bearer $BRIDGE_TOKEN" を付ける
  */
 
+const http = require('http');
 const WebSocket = require('ws');
+const { loadEnv } = require('./env');
+const { authenticate, verifyToken, warnIfUnauthenticated } = require('./auth');
+const { resolveTimeout, ErrorCodes, BridgeError, errorResponse } = require('./protocol');
+
+loadEnv();
 
 const PORT = parseInt(process.env.BRIDGE_PORT || '8765');
 // 0.0.0.0: WSL2環境でWindows側からの接続を受け付けるために必要
 // セキュリティが気になる場合は HOST=127.0.0.1 を.envに設定
 const HOST = process.env.HOST || '0.0.0.0';
-const wss = new WebSocket.Server({ host: HOST, port: PORT });
+// HTTP と WebSocket を同じポートで待ち受ける
+const httpServer = http.createServer((req, res) => handleHttpRequest(req, res));
+const wss = new WebSocket.Server({ server: httpServer });
+httpServer.listen(PORT, HOST);
+const startedAt = Date.now();
 
-let chromeExtension = null;
+// 接続中の Chrome 拡張機能（名前 -> { ws, name, connectedAt }）
+// 複数プロファイル・複数 Chrome を同時に接続できるよう名前で管理する
+const browsers = new Map();
+let unnamedBrowserCount = 0;
+// 拡張機能へ転送中のリクエスト
+// （id -> { resolve, reject, timer, client, clientId, browserWs }）
 const pendingRequests = new Map();
+// イベント購読（subscriptionId -> { clientWs, browserWs }）
+// 拡張機能から届いた event を購読元のクライアントにだけ転送する
+const subscriptions = new Map();
 let requestId = 0;
 
-console.log(`[Server] WebSocket サーバー起動: ws://localhost:${PORT}`);
+console.log(`[Server] WebSocket サーバー起動: ws://localhost:${PORT}（HTTP: http://localhost:${PORT}）`);
+warnIfUnauthenticated(HOST, 'Server');
 
 wss.on('connection', (ws, req) => {
   console.log('[Server] 新しい接続');
@@ -34,35 +63,79 @@ wss.on('connection', (ws, req) => {
     try {
       const message = JSON.parse(data.toString());
 
+      // 認証（BRIDGE_TOKEN 設定時のみ）。未認証なら切断済み
+      if (!authenticate(ws, message)) {
+        console.warn('[Server] 認証失敗のため接続を拒否しました');
+        return;
+      }
+      delete message.token;
+
+      // 認証のみのハンドシェイク
+      if (message.type === 'auth') {
+        ws.send(JSON.stringify({ type: 'auth', success: true }));
+        return;
+      }
+
       // Chrome 拡張機能からの接続通知
       if (message.type === 'connected') {
-        chromeExtension = ws;
-        console.log('[Server] Chrome 拡張機能が接続されました');
+        registerBrowser(ws, message.name);
         return;
       }
 
-      // Chrome 拡張機能からのレスポンス
-      if (message.id && pendingRequests.has(message.id)) {
-        const { resolve } = pendingRequests.get(message.id);
+      // Chrome 拡張機能からのレスポンス（転送先の接続から来たものだけ）
+      if (ws.browserName && message.id && pendingRequests.get(message.id)?.browserWs === ws) {
+        const { resolve, timer } = pendingRequests.get(message.id);
+        clearTimeout(timer);
         pendingRequests.delete(message.id);
         resolve(message);
         return;
       }
 
+      // Chrome 拡張機能からの購読イベント
+      if (ws.browserName && message.type === 'event') {
+        forwardEvent(ws, message);
+        return;
+      }
+
+      // CLI からのキャンセル要求（id はクライアント側の id）
+      if (message.type === 'cancel') {
+        for (const [id, pending] of pendingRequests) {
+          if (pending.client === ws && pending.clientId === message.id) {
+            cancelPending(id, ErrorCodes.CANCELLED, 'Request cancelled');
+          }
+        }
+        return;
+      }
+
       // CLI からのコマンド
       if (message.command) {
-        handleCommand(ws, message);
+        handleCommand(ws, message).then(response => sendToClient(ws, response));
       }
     } catch (error) {
       console.error('[Server] メッセージ処理エラー:', error);
-      ws.send(JSON.stringify({ error: error.message }));
+      ws.send(JSON.stringify(errorResponse(null, error)));
     }
   });
 
   ws.on('close', () => {
-    if (ws === chromeExtension) {
-      chromeExtension = null;
-      console.log('[Server] Chrome 拡張機能が切断されました');
+    if (ws.browserName && browsers.get(ws.browserName)?.ws === ws) {
+      browsers.delete(ws.browserName);
+      console.log(`[Server] Chrome 拡張機能が切断されました: ${ws.browserName}`);
+    }
+
+    cancelPendingFor(ws, 'Client disconnected');
+    releaseBrowser(ws, 'Chrome 拡張機能が切断されました');
+
+    for (const [subscriptionId, sub] of subscriptions) {
+      // 購読元が去ったら拡張機能側の購読も解除
+      if (sub.clientWs === ws) {
+        subscriptions.delete(subscriptionId);
+        if (sub.browserWs.readyState === WebSocket.OPEN) {
+          sub.browserWs.send(JSON.stringify({
+            id: ++requestId, command: 'unsubscribe', params: { subscriptionId }
+          }));
+        }
+      }
     }
   });
 
@@ -71,47 +144,312 @@ wss.on('connection', (ws, req) => {
   });
 });
 
-async function handleCommand(clientWs, message) {
-  if (!chromeExtension) {
-    clientWs.send(JSON.stringify({
-      id: message.id,
-      error: 'Chrome 拡張機能が接続されていません'
-    }));
-    return;
+// 拡張機能を名前付きで登録
+// 名前を報告しない拡張機能には連番の名前を振る（同名の再接続は置き換え）
+function registerBrowser(ws, name) {
+  const browserName = (typeof name === 'string' && name.trim()) || `chrome-${++unnamedBrowserCount}`;
+  const existing = browsers.get(browserName);
+  if (existing && existing.ws !== ws) {
+    console.warn(`[Server] 同名の拡張機能が再接続したため置き換えます: ${browserName}`);
+    existing.ws.browserName = null;
+    // 古い接続のレスポンスはもう受け取らないので、待っているリクエストはここで失敗させる
+    releaseBrowser(existing.ws, '同名の拡張機能が再接続しました');
+    existing.ws.close();
+  }
+  ws.browserName = browserName;
+  browsers.set(browserName, { ws, name: browserName, connectedAt: Date.now() });
+  console.log(`[Server] Chrome 拡張機能が接続されました: ${browserName}`);
+}
+
+// ブラウザ宛てのリクエストをタイムアウトを待たずに失敗させ、その購読元に終了を通知
+function releaseBrowser(browserWs, reason) {
+  for (const [id, pending] of pendingRequests) {
+    if (pending.browserWs === browserWs) {
+      clearTimeout(pending.timer);
+      pendingRequests.delete(id);
+      pending.reject(new BridgeError(ErrorCodes.NOT_CONNECTED, reason));
+    }
+  }
+  for (const [subscriptionId, sub] of subscriptions) {
+    if (sub.browserWs === browserWs) {
+      subscriptions.delete(subscriptionId);
+      sendToClient(sub.clientWs, { type: 'subscriptionEnded', subscriptionId, reason });
+    }
+  }
+}
+
+// コマンドの送信先ブラウザを決定
+// browser 指定なしの場合、接続が1つだけならそれを使う
+function resolveBrowser(target) {
+  if (target) {
+    const entry = browsers.get(target);
+    if (!entry) {
+      const names = [...browsers.keys()].join(', ') || 'なし';
+      throw new BridgeError(ErrorCodes.BROWSER_NOT_FOUND, `Browser not found: ${target}（接続中: ${names}）`);
+    }
+    return entry;
+  }
+
+  if (browsers.size === 0) {
+    throw new BridgeError(ErrorCodes.NOT_CONNECTED, 'Chrome 拡張機能が接続されていません');
+  }
+  if (browsers.size > 1) {
+    const names = [...browsers.keys()].join(', ');
+    throw new BridgeError(
+      ErrorCodes.BROWSER_NOT_FOUND,
+      `複数のブラウザが接続されています。browser を指定してください（接続中: ${names}）`
+    );
+  }
+  return browsers.values().next().value;
+}
+
+function listBrowsers() {
+  return {
+    browsers: [...browsers.values()].map(b => ({
+      name: b.name,
+      connectedAt: new Date(b.connectedAt).toISOString()
+    }))
+  };
+}
+
+// コマンドを処理してクライアントへ返すレスポンスを作る（WebSocket / HTTP 共通）
+// client はリクエスト元。切断時のキャンセルと購読の紐付けに使う
+// （WebSocket ならその ws、HTTP ならリクエストごとのオブジェクト）
+async function handleCommand(client, message) {
+  // サーバー側で完結するコマンド
+  if (message.command === 'listBrowsers') {
+    return { id: message.id, result: listBrowsers() };
+  }
+
+  let browser;
+  try {
+    // 購読イベントは WebSocket でしか受け取れない
+    if (message.command === 'subscribe' && !(client instanceof WebSocket)) {
+      throw new BridgeError(ErrorCodes.INVALID_PARAMS, 'subscribe は WebSocket 接続でのみ利用できます');
+    }
+    // 購読解除は購読を作成したブラウザへ送る
+    const sub = message.command === 'unsubscribe' && subscriptions.get(message.params?.subscriptionId);
+    if (sub && sub.clientWs === client) {
+      subscriptions.delete(message.params.subscriptionId);
+      browser = { ws: sub.browserWs };
+    } else {
+      browser = resolveBrowser(message.browser);
+    }
+  } catch (error) {
+    return errorResponse(message.id, error);
   }
 
   const id = ++requestId;
-  const commandMessage = { ...message, id };
+  const timeout = resolveTimeout(message.timeout, message.params);
+  const { browser: _target, ...rest } = message;
+  // 拡張機能にも同じタイムアウトを伝え、期限切れのコマンドを打ち切らせる
+  const commandMessage = { ...rest, id, timeout };
 
   // レスポンスを待つ Promise を作成
   const responsePromise = new Promise((resolve, reject) => {
-    pendingRequests.set(id, { resolve, reject });
-
-    // タイムアウト
-    setTimeout(() => {
+    const timer = setTimeout(() => {
       if (pendingRequests.has(id)) {
-        pendingRequests.delete(id);
-        reject(new Error('Request timeout'));
+        cancelPending(id, ErrorCodes.TIMEOUT, `Request timeout (${timeout}ms)`);
       }
-    }, 30000);
+    }, timeout);
+
+    pendingRequests.set(id, {
+      resolve, reject, timer,
+      client, clientId: message.id, browserWs: browser.ws
+    });
   });
 
+  // 拡張機能は subscribe の id をそのまま subscriptionId にする
+  // レスポンスと最初のイベントが同じチャンクで届くとイベントが先に処理されるので、送信前に登録しておく
+  const subscribing = message.command === 'subscribe';
+  if (subscribing) subscriptions.set(id, { clientWs: client, browserWs: browser.ws });
+
   // Chrome 拡張機能にコマンドを送信
-  chromeExtension.send(JSON.stringify(commandMessage));
+  browser.ws.send(JSON.stringify(commandMessage));
 
   try {
     const response = await responsePromise;
-    clientWs.send(JSON.stringify(response));
+    if (subscribing && response.result?.subscriptionId === undefined) subscriptions.delete(id);
+    // 拡張機能側の id をクライアント側の id に戻す
+    return { ...response, id: message.id };
   } catch (error) {
-    clientWs.send(JSON.stringify({ id: message.id, error: error.message }));
+    if (subscribing) subscriptions.delete(id);
+    return errorResponse(message.id, error);
   }
 }
 
+// リクエスト元が去ったら、そのリクエストを拡張機能側でも中断させる
+function cancelPendingFor(client, reason) {
+  for (const [id, pending] of pendingRequests) {
+    if (pending.client === client) {
+      cancelPending(id, ErrorCodes.CANCELLED, reason);
+    }
+  }
+}
+
+// 転送中のリクエストを中断し、拡張機能にも cancel を送る
+function cancelPending(id, code, reason) {
+  const pending = pendingRequests.get(id);
+  if (!pending) return;
+
+  clearTimeout(pending.timer);
+  pendingRequests.delete(id);
+  if (pending.browserWs.readyState === WebSocket.OPEN) {
+    pending.browserWs.send(JSON.stringify({ type: 'cancel', id }));
+  }
+  pending.reject(new BridgeError(code, reason));
+}
+
+// 購読イベントを購読元クライアントへ転送
+// 購読元が既にいない場合は拡張機能側の購読を解除させる
+function forwardEvent(browserWs, message) {
+  const sub = subscriptions.get(message.subscriptionId);
+  if (sub && sub.clientWs.readyState === WebSocket.OPEN) {
+    sub.clientWs.send(JSON.stringify(message));
+    return;
+  }
+  subscriptions.delete(message.subscriptionId);
+  browserWs.send(JSON.stringify({
+    id: ++requestId, command: 'unsubscribe', params: { subscriptionId: message.subscriptionId }
+  }));
+}
+
+function sendToClient(clientWs, payload) {
+  if (clientWs.readyState === WebSocket.OPEN) {
+    clientWs.send(JSON.stringify(payload));
+  }
+}
+
+// --- HTTP エンドポイント ---
+// POST /command          WebSocket と同じ JSON（{ command, params, browser, timeout }）
+// GET  /status           拡張機能の接続状況・稼働時間・処理中リクエスト数
+// GET  /screenshot.png   スクリーンショットを PNG で返す（?browser=&tabId=）
+
+// エラーコードに対応する HTTP ステータス
+const HTTP_STATUS = {
+  [ErrorCodes.UNAUTHORIZED]: 401,
+  [ErrorCodes.UNKNOWN_COMMAND]: 400,
+  [ErrorCodes.INVALID_PARAMS]: 400,
+  [ErrorCodes.BROWSER_NOT_FOUND]: 404,
+  [ErrorCodes.NO_TAB]: 404,
+  [ErrorCodes.ELEMENT_NOT_FOUND]: 404,
+  [ErrorCodes.NOT_CONNECTED]: 503,
+  [ErrorCodes.TIMEOUT]: 504
+};
+
+// アップロード用の base64 を含められる程度の上限
+const MAX_BODY_BYTES = 64 * 1024 * 1024;
+
+async function handleHttpRequest(req, res) {
+  const url = new URL(req.url, 'http://localhost');
+
+  try {
+    // Authorization: Bearer <token> または X-Bridge-Token ヘッダー
+    const token = req.headers['x-bridge-token'] ||
+                  req.headers.authorization?.replace(/^Bearer\s+/i, '');
+    if (!verifyToken(token)) {
+      throw new BridgeError(ErrorCodes.UNAUTHORIZED, 'Unauthorized: missing or invalid token');
+    }
+
+    if (req.method === 'GET' && url.pathname === '/status') {
+      sendJson(res, 200, {
+        extensionConnected: browsers.size > 0,
+        ...listBrowsers(),
+        uptime: Math.round((Date.now() - startedAt) / 1000),
+        pendingRequests: pendingRequests.size,
+        subscriptions: subscriptions.size
+      });
+      return;
+    }
+
+    if (req.method === 'POST' && url.pathname === '/command') {
+      let message;
+      try {
+        message = JSON.parse(await readBody(req));
+      } catch (error) {
+        throw new BridgeError(ErrorCodes.INVALID_PARAMS, `Invalid JSON body: ${error.message}`);
+      }
+      if (!message?.command) {
+        throw new BridgeError(ErrorCodes.INVALID_PARAMS, 'command is required');
+      }
+      delete message.token;
+
+      const response = await runHttpCommand(req, message);
+      sendJson(res, response.error ? httpStatusFor(response.code) : 200, response);
+      return;
+    }
+
+    if (req.method === 'GET' && url.pathname === '/screenshot.png') {
+      const tabId = url.searchParams.get('tabId');
+      const response = await runHttpCommand(req, {
+        command: 'screenshot',
+        params: { format: 'png', tabId: tabId ? parseInt(tabId) : undefined },
+        browser: url.searchParams.get('browser') || undefined
+      });
+      if (response.error) {
+        sendJson(res, httpStatusFor(response.code), response);
+        return;
+      }
+      const image = Buffer.from(response.result.dataUrl.split(',')[1], 'base64');
+      res.writeHead(200, { 'Content-Type': 'image/png', 'Content-Length': image.length });
+      res.end(image);
+      return;
+    }
+
+    sendJson(res, 404, { error: `Not found: ${req.method} ${url.pathname}` });
+  } catch (error) {
+    sendJson(res, httpStatusFor(error.code), errorResponse(undefined, error));
+  }
+}
+
+// HTTP リクエストとしてコマンドを実行
+// 応答前に接続が切れたら拡張機能側の処理も中断させる
+async function runHttpCommand(req, message) {
+  const client = { req };
+  const onClose = () => cancelPendingFor(client, 'HTTP client disconnected');
+  req.socket.once('close', onClose);
+  try {
+    return await handleCommand(client, message);
+  } finally {
+    req.socket.off('close', onClose);
+  }
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error('Request body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf-8')));
+    req.on('error', reject);
+  });
+}
+
+function httpStatusFor(code) {
+  return HTTP_STATUS[code] || 500;
+}
+
+function sendJson(res, status, body) {
+  const json = JSON.stringify(body);
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(json);
+}
+
 // Graceful shutdown
 process.on('SIGINT', () => {
   console.log('\n[Server] シャットダウン中...');
   wss.close(() => {
-    console.log('[Server] サーバー停止');
-    process.exit(0);
+    httpServer.close(() => {
+      console.log('[Server] サーバー停止');
+      process.exit(0);
+    });
   });
 });